@@ -1,51 +1,58 @@
 import * as React from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import Onboarding from './screens/Onboarding';
 import Home from './screens/Home';
 import SplashScreen from './screens/Splash';
 import Profile from './screens/Profile';
+import MenuItem from './screens/MenuItem';
+import Cart from './screens/Cart';
+import Checkout from './screens/Checkout';
+import OrderHistory from './screens/OrderHistory';
+import Reservations from './screens/Reservations';
+import MyReservations from './screens/MyReservations';
+import StaffLogin from './screens/StaffLogin';
+import StaffMenu from './screens/StaffMenu';
+import StaffEditItem from './screens/StaffEditItem';
+import { SessionProvider, useSession } from './session';
 
 const Stack = createNativeStackNavigator();
 
-// Custom hook to listen to AsyncStorage changes
-function useAsyncStorageListener(key, defaultValue) {
-  const [value, setValue] = React.useState(defaultValue);
-  const [isLoading, setIsLoading] = React.useState(true);
+// Header style for screens opened on top of Home
+const detailScreenOptions = {
+  headerStyle: { backgroundColor: '#495E57' },
+  headerTintColor: '#F4CE14',
+  headerTitleStyle: { fontWeight: 'bold' },
+  headerBackButtonDisplayMode: 'minimal',
+};
 
-  React.useEffect(() => {
-    const loadValue = async () => {
-      try {
-        const storedValue = await AsyncStorage.getItem(key);
-        setValue(storedValue === 'true');
-      } catch (error) {
-        console.error('Error reading from AsyncStorage:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
+// Deep links, e.g. littlelemon://menu/3 opens the menu item with id 3
+const linking = {
+  prefixes: ['littlelemon://'],
+  config: {
+    initialRouteName: 'Home',
+    screens: {
+      Home: '',
+      MenuItem: 'menu/:id',
+      Cart: 'cart',
+      OrderHistory: 'orders',
+      Reservations: 'reserve',
+      MyReservations: 'reservations',
+      Profile: 'profile',
+    },
+  },
+};
 
-    loadValue();
-
-    // Set up an interval to check for changes
-    const interval = setInterval(loadValue, 100);
-    
-    return () => clearInterval(interval);
-  }, [key]);
-
-  return [value, isLoading];
-}
-
-export default function App() {
-  const [isLoggedIn, isLoading] = useAsyncStorageListener('isLoggedIn', false);
+// Switches between the onboarding and logged in stacks as the session changes
+function AppNavigator() {
+  const { isLoggedIn, isLoading } = useSession();
 
   if (isLoading) {
     return <SplashScreen />;
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer linking={linking}>
       <Stack.Navigator>
         {isLoggedIn ? (
           // Logged in screens
@@ -60,6 +67,51 @@ export default function App() {
               component={Profile}
               options={{ headerShown: false }}
             />
+            <Stack.Screen
+              name="MenuItem"
+              component={MenuItem}
+              options={{ ...detailScreenOptions, title: '' }}
+            />
+            <Stack.Screen
+              name="Cart"
+              component={Cart}
+              options={{ ...detailScreenOptions, title: 'Your Cart' }}
+            />
+            <Stack.Screen
+              name="Checkout"
+              component={Checkout}
+              options={{ ...detailScreenOptions, title: 'Checkout' }}
+            />
+            <Stack.Screen
+              name="OrderHistory"
+              component={OrderHistory}
+              options={{ ...detailScreenOptions, title: 'Order History' }}
+            />
+            <Stack.Screen
+              name="Reservations"
+              component={Reservations}
+              options={{ ...detailScreenOptions, title: 'Reserve a Table' }}
+            />
+            <Stack.Screen
+              name="MyReservations"
+              component={MyReservations}
+              options={{ ...detailScreenOptions, title: 'My Reservations' }}
+            />
+            <Stack.Screen
+              name="StaffLogin"
+              component={StaffLogin}
+              options={{ ...detailScreenOptions, title: 'Staff Mode' }}
+            />
+            <Stack.Screen
+              name="StaffMenu"
+              component={StaffMenu}
+              options={{ ...detailScreenOptions, title: 'Manage Menu' }}
+            />
+            <Stack.Screen
+              name="StaffEditItem"
+              component={StaffEditItem}
+              options={{ ...detailScreenOptions, title: '' }}
+            />
           </>
         ) : (
           // Not logged in screens
@@ -72,4 +124,12 @@ export default function App() {
       </Stack.Navigator>
     </NavigationContainer>
   );
-}
\ No newline at end of file
+}
+
+export default function App() {
+  return (
+    <SessionProvider>
+      <AppNavigator />
+    </SessionProvider>
+  );
+}
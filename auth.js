@@ -0,0 +1,256 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { AUTH_URL } from './config';
+import { AuthError, NetworkError, ParseError } from './errors';
+
+/**
+ * Auth - Client for the authentication backend
+ *
+ * Signs users up and in against AUTH_URL and keeps the returned tokens:
+ * - A short-lived access token, sent as "Authorization: Bearer ..." by authFetch
+ * - A refresh token, exchanged for a new access token when the old one expires
+ *
+ * The tokens are kept in the platform keychain / keystore (expo-secure-store).
+ * When a refresh is rejected the session is over: the tokens are dropped and
+ * every onSessionExpired listener is told, so the app can return to Onboarding.
+ *
+ * Requests that act on the signed-in session go through authFetch. Failures
+ * are thrown as AuthError when the backend refuses the request (4xx) and as
+ * NetworkError when it cannot be reached or fails itself.
+ *
+ * Backend endpoints (see mock-server/auth-server.js):
+ * - POST /signup  { firstName, email, password } -> session
+ * - POST /signin  { email, password }            -> session
+ * - POST /refresh { refreshToken }               -> session
+ * - POST /signout { refreshToken }
+ * - GET  /me                                     -> { user }
+ *
+ * A session response is { user, accessToken, refreshToken, expiresIn (seconds) }.
+ */
+
+const AUTH_SESSION_KEY = 'authSession';
+
+// Refresh a little before the access token actually expires
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+const expiryListeners = new Set();
+let refreshInFlight = null;
+
+/**
+ * Send a request to the auth backend
+ * @param {Function} request - Sends the request, e.g. () => fetch(...)
+ * @returns {Promise<Response>} Response
+ */
+async function sendRequest(request) {
+  try {
+    return await request();
+  } catch (error) {
+    throw new NetworkError('Could not reach the sign-in service: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Read the JSON body of a response from the auth backend
+ * @param {Response} response - Response
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function readJson(response) {
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    if (response.status >= 400 && response.status < 500) {
+      throw new AuthError(data?.error || 'The sign-in service refused the request', { status: response.status });
+    }
+    throw new NetworkError(`Auth request failed with status ${response.status}`, { status: response.status });
+  }
+  if (!data) throw new ParseError('The sign-in service sent an unreadable response');
+  return data;
+}
+
+/**
+ * Send a JSON request to the auth backend, for requests made without a session
+ * @param {string} path - Endpoint path, e.g. '/signin'
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJson(path, body) {
+  const response = await sendRequest(() => fetch(`${AUTH_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return readJson(response);
+}
+
+/**
+ * Store the tokens of a session response
+ * @param {Object} data - Session response from the backend
+ * @returns {Promise<Object>} Stored tokens, plus the user of the response
+ */
+async function storeSession(data) {
+  const session = {
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken,
+    expiresAt: Date.now() + data.expiresIn * 1000,
+  };
+  await SecureStore.setItemAsync(AUTH_SESSION_KEY, JSON.stringify(session));
+  return { ...session, user: data.user };
+}
+
+/**
+ * Drop the stored tokens
+ */
+async function clearSession() {
+  await SecureStore.deleteItemAsync(AUTH_SESSION_KEY);
+}
+
+/**
+ * Drop the stored tokens and tell the listeners the session is over
+ */
+async function expireSession() {
+  await clearSession();
+  expiryListeners.forEach(listener => listener());
+}
+
+/**
+ * Read the stored tokens
+ * Tokens kept in AsyncStorage by an older version are moved to secure storage
+ * @returns {Promise<Object|null>} Tokens, or null when signed out
+ */
+export async function getAuthSession() {
+  const stored = await SecureStore.getItemAsync(AUTH_SESSION_KEY);
+  if (stored) return JSON.parse(stored);
+
+  const plain = await AsyncStorage.getItem(AUTH_SESSION_KEY);
+  if (!plain) return null;
+
+  const { accessToken, refreshToken, expiresAt } = JSON.parse(plain);
+  const session = { accessToken, refreshToken, expiresAt };
+  await SecureStore.setItemAsync(AUTH_SESSION_KEY, JSON.stringify(session));
+  await AsyncStorage.removeItem(AUTH_SESSION_KEY);
+  return session;
+}
+
+/**
+ * Create an account and sign in
+ * @param {Object} details - firstName, email and password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signUp({ firstName, email, password }) {
+  const data = await postJson('/signup', { firstName, email: email.trim(), password });
+  return (await storeSession(data)).user;
+}
+
+/**
+ * Sign in with an existing account
+ * @param {Object} credentials - email and password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signIn({ email, password }) {
+  const data = await postJson('/signin', { email: email.trim(), password });
+  return (await storeSession(data)).user;
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one request; a rejected refresh ends the session
+ * @returns {Promise<Object>} Refreshed session
+ */
+export function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const session = await getAuthSession();
+      if (!session) {
+        throw new AuthError('Not signed in');
+      }
+
+      try {
+        return await storeSession(await postJson('/refresh', { refreshToken: session.refreshToken }));
+      } catch (error) {
+        // Only a rejection by the backend ends the session, being offline does not
+        if (error instanceof AuthError) {
+          await expireSession();
+          throw new AuthError('Your session has expired, please sign in again', { status: error.status, cause: error });
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Sign out and revoke the refresh token
+ * The local tokens are dropped even if the backend cannot be reached
+ */
+export async function signOut() {
+  if (!(await getAuthSession())) return;
+
+  try {
+    const response = await authFetch(`${AUTH_URL}/signout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // Built from the session actually sent, authFetch may have refreshed it
+      body: (session) => JSON.stringify({ refreshToken: session.refreshToken }),
+    });
+    await readJson(response);
+  } catch (error) {
+    console.warn('Could not revoke session:', error.message);
+  } finally {
+    await clearSession();
+  }
+}
+
+/**
+ * fetch() for authenticated API calls
+ * - Attaches the access token, refreshing it first if it is about to expire
+ * - Retries once with a refreshed token when the backend answers 401
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options; body can also be a function of the session, for bodies that carry a token
+ * @returns {Promise<Response>} Response
+ * @throws {AuthError} When signed out or the session cannot be refreshed
+ * @throws {NetworkError} When the backend cannot be reached
+ */
+export async function authFetch(url, options = {}) {
+  let session = await getAuthSession();
+  if (!session) {
+    throw new AuthError('Not signed in');
+  }
+  if (session.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+    session = await refreshSession();
+  }
+
+  const send = (current) => sendRequest(() => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${current.accessToken}` },
+    body: typeof options.body === 'function' ? options.body(current) : options.body,
+  }));
+
+  const response = await send(session);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  session = await refreshSession();
+  return send(session);
+}
+
+/**
+ * Fetch the signed-in user from the backend, confirming the session is still valid
+ * @returns {Promise<Object>} User
+ */
+export async function fetchCurrentUser() {
+  const response = await authFetch(`${AUTH_URL}/me`);
+  return (await readJson(response)).user;
+}
+
+/**
+ * Listen for sessions that ended because the tokens could no longer be refreshed
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onSessionExpired(listener) {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+}
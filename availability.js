@@ -0,0 +1,148 @@
+/**
+ * Availability - When dishes are served and which are today's specials
+ *
+ * A dish can be limited to some meal periods and some weekdays, and can be
+ * the special on some weekdays. Each rule is a list of keys, or null when
+ * the dish has no limit (served at any time, every day, never a special):
+ *
+ *   meals:       ['lunch', 'dinner']           keys of MEAL_PERIODS
+ *   days:        ['mon', 'tue', 'wed']         keys of WEEKDAYS
+ *   specialDays: ['fri']
+ *
+ * Everything is evaluated against the device clock, like the booking rules
+ * in reservations.js. Times are 'HH:MM', a period includes its start and
+ * ends just before its end.
+ */
+
+export const MEAL_PERIODS = [
+  { key: 'breakfast', label: 'Breakfast', start: '07:00', end: '11:00' },
+  { key: 'lunch', label: 'Lunch', start: '11:00', end: '16:00' },
+  { key: 'dinner', label: 'Dinner', start: '16:00', end: '23:00' },
+];
+
+// In the order of Date.getDay(), 0 = Sunday
+export const WEEKDAYS = [
+  { key: 'sun', label: 'Sun' },
+  { key: 'mon', label: 'Mon' },
+  { key: 'tue', label: 'Tue' },
+  { key: 'wed', label: 'Wed' },
+  { key: 'thu', label: 'Thu' },
+  { key: 'fri', label: 'Fri' },
+  { key: 'sat', label: 'Sat' },
+];
+
+const WORKING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const WEEKEND_DAYS = ['sun', 'sat'];
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Keep the known keys of a list, in a fixed order
+ * @param {*} list - List from a payload or the database
+ * @param {Array<{key: string}>} known - MEAL_PERIODS or WEEKDAYS
+ * @returns {string[]|null} Keys, null when the list is missing or names nothing known
+ */
+function normalizeKeys(list, known) {
+  if (!Array.isArray(list)) return null;
+  const keys = list.map(entry => String(entry).trim().toLowerCase());
+  const result = known.map(entry => entry.key).filter(key => keys.includes(key));
+  return result.length > 0 ? result : null;
+}
+
+/**
+ * Turn a list of meal periods into known keys
+ * @param {*} meals - e.g. ['Lunch', 'dinner']
+ * @returns {string[]|null} Meal keys, null for no limit
+ */
+export function normalizeMeals(meals) {
+  return normalizeKeys(meals, MEAL_PERIODS);
+}
+
+/**
+ * Turn a list of weekdays into known keys
+ * Full names are accepted too, e.g. 'Friday'
+ * @param {*} days - e.g. ['mon', 'Friday']
+ * @returns {string[]|null} Weekday keys, null for no limit
+ */
+export function normalizeDays(days) {
+  return normalizeKeys(Array.isArray(days) ? days.map(day => String(day).trim().slice(0, 3)) : days, WEEKDAYS);
+}
+
+/**
+ * Find the meal period a time falls in
+ * @param {Date} date - Moment to check
+ * @returns {string|null} Meal key, null outside every period
+ */
+export function getMealPeriod(date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const period = MEAL_PERIODS.find(entry => minutes >= toMinutes(entry.start) && minutes < toMinutes(entry.end));
+  return period ? period.key : null;
+}
+
+/**
+ * Check whether a dish is served at a given moment
+ * @param {Object} item - Menu item with meals and days
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True when both the weekday and the meal period allow it
+ */
+export function isServedAt(item, date) {
+  if (item.days && !item.days.includes(WEEKDAYS[date.getDay()].key)) return false;
+  if (item.meals && !item.meals.includes(getMealPeriod(date))) return false;
+  return true;
+}
+
+/**
+ * Check whether a dish is a special on the day of a given moment
+ * @param {Object} item - Menu item with specialDays
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True on the dish's special days
+ */
+export function isSpecialOn(item, date) {
+  return !!item.specialDays && item.specialDays.includes(WEEKDAYS[date.getDay()].key);
+}
+
+/**
+ * Describe when a dish is served
+ * @param {Object} item - Menu item with meals and days
+ * @returns {string|null} e.g. 'Lunch & dinner, weekdays', null when it is served at any time
+ */
+export function describeAvailability(item) {
+  const parts = [];
+  if (item.meals) {
+    const labels = item.meals.map(key => MEAL_PERIODS.find(entry => entry.key === key).label.toLowerCase());
+    const text = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} & ${labels[labels.length - 1]}` : labels[0];
+    parts.push(text.charAt(0).toUpperCase() + text.slice(1));
+  }
+  if (item.days) {
+    let text;
+    if (item.days.join() === WORKING_DAYS.join()) text = 'weekdays';
+    else if (item.days.join() === WEEKEND_DAYS.join()) text = 'weekends';
+    else text = item.days.map(key => WEEKDAYS.find(entry => entry.key === key).label).join(', ');
+    parts.push(parts.length > 0 ? text : `Only ${text}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Find the next moment the served dishes or specials can change
+ * That is the next start or end of a meal period, or midnight
+ * @param {Date} date - Current moment
+ * @returns {Date} Next boundary, always after date
+ */
+export function getNextAvailabilityChange(date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const boundaries = MEAL_PERIODS.flatMap(entry => [toMinutes(entry.start), toMinutes(entry.end)]);
+  const next = Math.min(...boundaries.filter(boundary => boundary > minutes), 24 * 60);
+
+  const result = new Date(date);
+  result.setHours(0, next, 0, 0);
+  return result;
+}
@@ -0,0 +1,148 @@
+import * as FileSystem from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+
+/**
+ * Avatar Storage - Profile photos kept in the app's document directory
+ *
+ * Image picker and camera results live in a cache directory the system may
+ * clear at any time, so a chosen photo is resized to a fixed avatar size,
+ * compressed and copied into 'avatars/' under the document directory. Only
+ * the file name of that copy is stored in the profile: the document
+ * directory moves when iOS updates or restores the app, so full paths are
+ * built at runtime with getAvatarUri.
+ *
+ * Files are removed when an avatar is replaced or removed, and a sweep at
+ * launch deletes any file no profile refers to anymore. Avatars that earlier
+ * versions kept as full URIs are moved over once at launch (see
+ * migrateAvatar).
+ */
+
+export const AVATAR_SIZE = 256; // Width and height of stored avatars, in pixels
+const AVATAR_QUALITY = 0.8; // JPEG compression, 0 to 1
+
+const AVATAR_DIR = `${FileSystem.documentDirectory}avatars/`;
+
+// Full URIs of stored avatars, as saved by earlier versions; the directory before 'avatars/' may be stale
+const LEGACY_AVATAR_URI = /\/avatars\/([^/]+)$/;
+
+/**
+ * Check whether a profile avatar is a file managed by this module
+ * @param {string|null} avatar - File name, or a full URI from earlier versions or the image picker
+ * @returns {boolean} True for files in the avatars directory
+ */
+export function isStoredAvatar(avatar) {
+  return typeof avatar === 'string' && (!avatar.includes('/') || LEGACY_AVATAR_URI.test(avatar));
+}
+
+/**
+ * Check whether a profile avatar was saved as a full URI by an earlier version
+ * @param {string|null} avatar - Avatar from the profile
+ * @returns {boolean} True when it still has to go through migrateAvatar
+ */
+export function isLegacyAvatar(avatar) {
+  return typeof avatar === 'string' && avatar.includes('/');
+}
+
+/**
+ * Get the file name of a stored avatar
+ * @param {string} avatar - Stored avatar, see isStoredAvatar
+ * @returns {string} File name in the avatars directory
+ */
+export function getAvatarFilename(avatar) {
+  return avatar.includes('/') ? avatar.match(LEGACY_AVATAR_URI)[1] : avatar;
+}
+
+/**
+ * Build the URI an avatar can be shown from
+ * @param {string|null} avatar - Avatar from the profile, or a picked image URI
+ * @returns {string|null} URI in the current avatars directory for stored avatars, other URIs as they are
+ */
+export function getAvatarUri(avatar) {
+  if (!avatar) return null;
+  return isStoredAvatar(avatar) ? `${AVATAR_DIR}${getAvatarFilename(avatar)}` : avatar;
+}
+
+/**
+ * Create the avatars directory if it does not exist yet
+ */
+async function ensureAvatarDir() {
+  const info = await FileSystem.getInfoAsync(AVATAR_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(AVATAR_DIR, { intermediates: true });
+  }
+}
+
+/**
+ * Resize a picked image and store it as an avatar
+ * @param {string} sourceUri - Temporary URI from the image picker or camera
+ * @param {string} profileId - Profile the avatar belongs to, used in the file name
+ * @returns {Promise<string>} File name of the stored avatar, to save in the profile
+ */
+export async function saveAvatar(sourceUri, profileId) {
+  try {
+    await ensureAvatarDir();
+
+    const context = ImageManipulator.manipulate(sourceUri);
+    context.resize({ width: AVATAR_SIZE, height: AVATAR_SIZE });
+    const image = await context.renderAsync();
+    const resized = await image.saveAsync({ compress: AVATAR_QUALITY, format: SaveFormat.JPEG });
+
+    const filename = `${profileId}-${Date.now()}.jpg`;
+    await FileSystem.moveAsync({ from: resized.uri, to: `${AVATAR_DIR}${filename}` });
+    return filename;
+  } catch (error) {
+    throw new Error('Failed to save avatar: ' + error.message);
+  }
+}
+
+/**
+ * Turn an avatar saved by an earlier version into a file name in the avatars directory
+ * - Full URIs of files in the avatars directory keep their file
+ * - Other URIs, e.g. an image picker cache file, are copied in while the file still exists
+ * @param {string} avatar - Legacy avatar, see isLegacyAvatar
+ * @param {string} profileId - Profile the avatar belongs to
+ * @returns {Promise<string|null>} Avatar to keep, null when the photo is gone and initials should show
+ */
+export async function migrateAvatar(avatar, profileId) {
+  if (isStoredAvatar(avatar)) return getAvatarFilename(avatar);
+  try {
+    const info = await FileSystem.getInfoAsync(avatar);
+    return info.exists ? await saveAvatar(avatar, profileId) : null;
+  } catch (error) {
+    console.warn('Could not keep avatar:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a stored avatar
+ * URIs outside the avatars directory (e.g. saved by older versions) are left alone
+ * @param {string|null} avatar - Avatar from the profile
+ */
+export async function deleteAvatar(avatar) {
+  if (!isStoredAvatar(avatar)) return;
+  try {
+    await FileSystem.deleteAsync(getAvatarUri(avatar), { idempotent: true });
+  } catch (error) {
+    console.warn('Could not delete avatar:', error.message);
+  }
+}
+
+/**
+ * Delete avatar files that no profile refers to
+ * Files are matched by name, so avatars saved before the app directory moved are kept
+ * @param {Array<string|null>} keepAvatars - Avatars still in use, from the profiles
+ */
+export async function cleanUpAvatars(keepAvatars) {
+  try {
+    const info = await FileSystem.getInfoAsync(AVATAR_DIR);
+    if (!info.exists) return;
+
+    const keep = new Set(keepAvatars.filter(isStoredAvatar).map(getAvatarFilename));
+    const files = await FileSystem.readDirectoryAsync(AVATAR_DIR);
+    const orphans = files.filter(file => !keep.has(file));
+    await Promise.all(orphans.map(file => FileSystem.deleteAsync(`${AVATAR_DIR}${file}`, { idempotent: true })));
+  } catch (error) {
+    console.warn('Could not clean up avatars:', error.message);
+  }
+}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, Modal, TouchableOpacity, TouchableWithoutFeedback, FlatList } from 'react-native';
+import { Text } from 'react-native-paper';
+import { COUNTRIES, getCountry } from '../validation';
+
+/**
+ * Country Picker - Dialling code selector for phone inputs
+ *
+ * Shows the flag and dialling code of the selected country; tapping it
+ * opens a bottom sheet listing the supported countries.
+ *
+ * Props:
+ * - value: ISO code of the selected country
+ * - onChange: called with the ISO code of the picked country
+ */
+
+export default function CountryPicker({ value, onChange }) {
+    const [visible, setVisible] = useState(false); // Whether the country list is open
+    const selected = getCountry(value);
+
+    /**
+     * Pick a country and close the list
+     * @param {string} code - ISO country code
+     */
+    const handleSelect = (code) => {
+        setVisible(false);
+        onChange(code);
+    };
+
+    return (
+        <>
+            <TouchableOpacity
+                style={styles.trigger}
+                onPress={() => setVisible(true)}
+                accessibilityLabel={`Country: ${selected.name}, tap to change`}
+            >
+                <Text style={styles.triggerText}>{selected.flag} +{selected.dialCode}</Text>
+            </TouchableOpacity>
+
+            <Modal visible={visible} transparent animationType="slide" onRequestClose={() => setVisible(false)}>
+                {/* Tapping the dimmed area closes the sheet */}
+                <TouchableWithoutFeedback onPress={() => setVisible(false)}>
+                    <View style={styles.backdrop} />
+                </TouchableWithoutFeedback>
+
+                <View style={styles.sheet}>
+                    <Text style={styles.title}>Country</Text>
+                    <FlatList
+                        data={COUNTRIES}
+                        keyExtractor={(country) => country.code}
+                        renderItem={({ item: country }) => (
+                            <TouchableOpacity
+                                style={[styles.option, country.code === selected.code && styles.optionActive]}
+                                onPress={() => handleSelect(country.code)}
+                            >
+                                <Text style={[styles.optionText, country.code === selected.code && styles.optionTextActive]}>
+                                    {country.flag}  {country.name}
+                                </Text>
+                                <Text style={[styles.optionText, country.code === selected.code && styles.optionTextActive]}>
+                                    +{country.dialCode}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                    />
+                </View>
+            </Modal>
+        </>
+    );
+}
+
+const styles = StyleSheet.create({
+    trigger: {
+        justifyContent: 'center',
+        paddingHorizontal: 10,
+        marginRight: 8,
+        borderWidth: 1,
+        borderColor: '#bdbdbd',
+        borderRadius: 4,
+        backgroundColor: '#fff',
+    },
+    triggerText: {
+        fontSize: 16,
+        color: '#333',
+    },
+    backdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    sheet: {
+        maxHeight: '60%',
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+        padding: 20,
+        paddingBottom: 32,
+    },
+    title: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 10,
+    },
+    option: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        marginBottom: 4,
+        borderRadius: 8,
+    },
+    optionActive: {
+        backgroundColor: '#495E57',
+    },
+    optionText: {
+        fontSize: 15,
+        color: '#333',
+    },
+    optionTextActive: {
+        color: '#F4CE14',
+        fontWeight: 'bold',
+    },
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Icon } from 'react-native-paper';
+import { getDietaryTag } from '../dietary';
+
+/**
+ * Dietary Badges - Diet and allergen tags of a dish
+ *
+ * Diet tags (vegetarian, vegan, gluten-free) are shown in green with a leaf,
+ * allergens the dish contains in yellow with a warning sign.
+ *
+ * Props:
+ * - tags: tag keys from dietary.js
+ * - style: extra style for the row
+ */
+
+export default function DietaryBadges({ tags = [], style }) {
+    const known = tags.map(getDietaryTag).filter(Boolean);
+    if (known.length === 0) return null;
+
+    return (
+        <View style={[styles.row, style]}>
+            {known.map((tag) => {
+                const isDiet = tag.kind === 'diet';
+                return (
+                    <View
+                        key={tag.key}
+                        style={[styles.badge, isDiet ? styles.dietBadge : styles.allergenBadge]}
+                        accessibilityLabel={isDiet ? tag.label : `Contains ${tag.label.toLowerCase()}`}
+                    >
+                        <Icon source={isDiet ? 'leaf' : 'alert-circle-outline'} size={12} color={isDiet ? '#fff' : '#333'} />
+                        <Text style={[styles.badgeText, isDiet ? styles.dietText : styles.allergenText]}>{tag.label}</Text>
+                    </View>
+                );
+            })}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    badge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 2,
+        paddingHorizontal: 6,
+        marginRight: 4,
+        marginBottom: 4,
+        borderRadius: 10,
+    },
+    dietBadge: {
+        backgroundColor: '#495E57',
+    },
+    allergenBadge: {
+        backgroundColor: '#F4CE14',
+    },
+    badgeText: {
+        fontSize: 11,
+        fontWeight: '600',
+        marginLeft: 3,
+    },
+    dietText: {
+        color: '#fff',
+    },
+    allergenText: {
+        color: '#333',
+    },
+});
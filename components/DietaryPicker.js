@@ -0,0 +1,92 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import { DIET_TAGS, ALLERGEN_TAGS } from '../dietary';
+
+/**
+ * Dietary Picker - Diets to keep and allergens to leave out
+ *
+ * Two rows of toggles, used by the sort & filter sheet and for the dietary
+ * preference on the Profile screen. The value is a single list of tag keys:
+ * diet tags keep only dishes that have them, allergen tags leave out dishes
+ * that contain them (see splitDietaryFilter in dietary.js).
+ *
+ * Props:
+ * - value: selected tag keys
+ * - onChange: called with the new list of tag keys
+ */
+
+export default function DietaryPicker({ value = [], onChange }) {
+    /**
+     * Turn a tag on or off
+     * @param {string} key - Tag key
+     */
+    const handleToggle = (key) => {
+        onChange(value.includes(key) ? value.filter(tag => tag !== key) : [...value, key]);
+    };
+
+    /**
+     * Render a row of toggles
+     * @param {Array} tags - Tags from dietary.js
+     */
+    const renderRow = (tags) => (
+        <View style={styles.optionRow}>
+            {tags.map((tag) => {
+                const selected = value.includes(tag.key);
+                return (
+                    <TouchableOpacity
+                        key={tag.key}
+                        style={[styles.option, selected && styles.optionActive]}
+                        onPress={() => handleToggle(tag.key)}
+                        accessibilityState={{ selected }}
+                    >
+                        <Text style={[styles.optionText, selected && styles.optionTextActive]}>
+                            {tag.label}
+                        </Text>
+                    </TouchableOpacity>
+                );
+            })}
+        </View>
+    );
+
+    return (
+        <View>
+            <Text style={styles.label}>Only show</Text>
+            {renderRow(DIET_TAGS)}
+            <Text style={styles.label}>Leave out dishes with</Text>
+            {renderRow(ALLERGEN_TAGS)}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 13,
+        color: '#555',
+        marginBottom: 6,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 8,
+    },
+    option: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        marginBottom: 6,
+        borderRadius: 15,
+        backgroundColor: '#f5f5f5',
+    },
+    optionActive: {
+        backgroundColor: '#495E57',
+    },
+    optionText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+    },
+    optionTextActive: {
+        color: '#F4CE14',
+    },
+});
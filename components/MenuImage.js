@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Image } from 'react-native';
+import { Icon } from 'react-native-paper';
+import { getImageUri } from '../imageCache';
+import { getMenuImageUrl } from '../menuSource';
+
+/**
+ * Menu Image - Dish photo served from the offline image cache
+ *
+ * Shows the cached copy of a menu image when there is one and the remote
+ * image otherwise (which also caches it for next time). While the image is
+ * being looked up, or when it cannot be loaded (e.g. offline before it was
+ * ever cached), a neutral placeholder is shown in its place.
+ *
+ * Props:
+ * - image: image filename from the menu payload
+ * - style: image style, its size is also used for the placeholder
+ * - resizeMode: passed on to the image (default 'cover')
+ */
+
+export default function MenuImage({ image, style, resizeMode = 'cover' }) {
+    const [uri, setUri] = useState(null); // Local or remote URI, null until resolved
+    const [failed, setFailed] = useState(false); // Image could not be loaded
+
+    // Resolve the URI again whenever the image changes
+    useEffect(() => {
+        let isCurrent = true;
+        setUri(null);
+        setFailed(false);
+        if (image) {
+            getImageUri(image, getMenuImageUrl(image)).then(resolved => {
+                if (isCurrent) setUri(resolved);
+            });
+        }
+        return () => {
+            isCurrent = false;
+        };
+    }, [image]);
+
+    if (!uri || failed) {
+        return (
+            <View style={[styles.placeholder, style]} accessibilityLabel="Image unavailable">
+                <Icon source="silverware-fork-knife" size={28} color="#9e9e9e" />
+            </View>
+        );
+    }
+
+    return (
+        <Image
+            source={{ uri }}
+            style={style}
+            resizeMode={resizeMode}
+            onError={() => setFailed(true)}
+        />
+    );
+}
+
+const styles = StyleSheet.create({
+    placeholder: {
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#eeeeee',
+    },
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+
+/**
+ * Quantity Stepper - Minus / value / plus control
+ * 
+ * Used wherever a number of portions is chosen (menu item details, cart).
+ * The buttons disable themselves at the limits.
+ */
+
+export default function QuantityStepper({ value, onChange, min = 1, max = 20, size = 36 }) {
+    const buttonStyle = [styles.button, { width: size, height: size, borderRadius: size / 2 }];
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity
+                style={[buttonStyle, value <= min && styles.buttonDisabled]}
+                onPress={() => onChange(Math.max(min, value - 1))}
+                disabled={value <= min}
+                accessibilityLabel="Decrease quantity"
+            >
+                <Text style={styles.buttonText}>−</Text>
+            </TouchableOpacity>
+            <Text style={styles.value}>{value}</Text>
+            <TouchableOpacity
+                style={[buttonStyle, value >= max && styles.buttonDisabled]}
+                onPress={() => onChange(Math.min(max, value + 1))}
+                disabled={value >= max}
+                accessibilityLabel="Increase quantity"
+            >
+                <Text style={styles.buttonText}>+</Text>
+            </TouchableOpacity>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    button: {
+        backgroundColor: '#495E57',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    buttonDisabled: {
+        opacity: 0.4,
+    },
+    buttonText: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#F4CE14',
+    },
+    value: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        minWidth: 32,
+        textAlign: 'center',
+    },
+});
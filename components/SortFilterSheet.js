@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Modal, TouchableOpacity, TouchableWithoutFeedback } from 'react-native';
+import { Text, TextInput, Button, HelperText } from 'react-native-paper';
+import DietaryPicker from './DietaryPicker';
+
+/**
+ * Sort & Filter Sheet - Menu ordering, price range, serving times and dietary filters
+ * 
+ * Bottom sheet opened from the Home screen. It lets the user:
+ * - Choose how the menu is sorted (recommended, price, name, popularity)
+ * - Limit the menu to a price range
+ * - Keep only dishes for a diet and leave out dishes with given allergens
+ * - Grey out or hide dishes that are not served at this time of day
+ * 
+ * Changes are kept as a draft until Apply is pressed, so closing the
+ * sheet leaves the current menu untouched.
+ */
+
+// Sort options understood by queryMenuItems (null keeps the default order)
+export const SORT_OPTIONS = [
+    { key: null, label: 'Recommended' },
+    { key: 'price_asc', label: 'Price: Low to High' },
+    { key: 'price_desc', label: 'Price: High to Low' },
+    { key: 'name', label: 'Name' },
+    { key: 'popular', label: 'Popular' },
+];
+
+export const DEFAULT_MENU_OPTIONS = { sort: null, minPrice: null, maxPrice: null, dietary: [], hideUnavailable: false };
+
+// Ways to show dishes outside their serving times
+const UNAVAILABLE_OPTIONS = [
+    { key: false, label: 'Grey them out' },
+    { key: true, label: 'Hide them' },
+];
+
+/**
+ * Parse a price typed by the user
+ * @param {string} text - Input text
+ * @returns {number|null} Price, null when empty, NaN when invalid
+ */
+function parsePrice(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+
+    const value = Number(trimmed.replace(',', '.'));
+    return Number.isFinite(value) && value >= 0 ? value : NaN;
+}
+
+export default function SortFilterSheet({ visible, options, onApply, onClose }) {
+    // Draft state, copied from the applied options whenever the sheet opens
+    const [sort, setSort] = useState(options.sort);
+    const [minPriceText, setMinPriceText] = useState('');
+    const [maxPriceText, setMaxPriceText] = useState('');
+    const [dietary, setDietary] = useState(options.dietary); // Diet and allergen tags
+    const [hideUnavailable, setHideUnavailable] = useState(options.hideUnavailable); // Hide dishes not served now
+
+    useEffect(() => {
+        if (visible) {
+            setSort(options.sort);
+            setDietary(options.dietary);
+            setHideUnavailable(options.hideUnavailable);
+            setMinPriceText(options.minPrice !== null ? String(options.minPrice) : '');
+            setMaxPriceText(options.maxPrice !== null ? String(options.maxPrice) : '');
+        }
+    }, [visible]);
+
+    const minPrice = parsePrice(minPriceText);
+    const maxPrice = parsePrice(maxPriceText);
+
+    // Validation message for the price range, null when the range is usable
+    let priceError = null;
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+        priceError = 'Prices must be positive numbers';
+    } else if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        priceError = 'Minimum price cannot be higher than maximum price';
+    }
+
+    /**
+     * Apply the draft and close the sheet
+     */
+    const handleApply = () => {
+        if (priceError) return;
+        onApply({ sort, minPrice, maxPrice, dietary, hideUnavailable });
+    };
+
+    /**
+     * Reset the draft to the default options
+     */
+    const handleReset = () => {
+        setSort(DEFAULT_MENU_OPTIONS.sort);
+        setMinPriceText('');
+        setMaxPriceText('');
+        setDietary(DEFAULT_MENU_OPTIONS.dietary);
+        setHideUnavailable(DEFAULT_MENU_OPTIONS.hideUnavailable);
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            {/* Tapping the dimmed area closes the sheet */}
+            <TouchableWithoutFeedback onPress={onClose}>
+                <View style={styles.backdrop} />
+            </TouchableWithoutFeedback>
+
+            <View style={styles.sheet}>
+                <Text style={styles.title}>Sort by</Text>
+                <View style={styles.optionRow}>
+                    {SORT_OPTIONS.map((option) => (
+                        <TouchableOpacity
+                            key={option.label}
+                            style={[styles.option, sort === option.key && styles.optionActive]}
+                            onPress={() => setSort(option.key)}
+                        >
+                            <Text style={[styles.optionText, sort === option.key && styles.optionTextActive]}>
+                                {option.label}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <Text style={styles.title}>Price range</Text>
+                <View style={styles.priceRow}>
+                    <TextInput
+                        mode="outlined"
+                        label="Min $"
+                        value={minPriceText}
+                        onChangeText={setMinPriceText}
+                        keyboardType="decimal-pad"
+                        style={styles.priceInput}
+                        error={Number.isNaN(minPrice)}
+                    />
+                    <TextInput
+                        mode="outlined"
+                        label="Max $"
+                        value={maxPriceText}
+                        onChangeText={setMaxPriceText}
+                        keyboardType="decimal-pad"
+                        style={styles.priceInput}
+                        error={Number.isNaN(maxPrice)}
+                    />
+                </View>
+                <HelperText type="error" visible={priceError !== null}>
+                    {priceError}
+                </HelperText>
+
+                <Text style={styles.title}>Dishes not served now</Text>
+                <View style={styles.optionRow}>
+                    {UNAVAILABLE_OPTIONS.map((option) => (
+                        <TouchableOpacity
+                            key={option.label}
+                            style={[styles.option, hideUnavailable === option.key && styles.optionActive]}
+                            onPress={() => setHideUnavailable(option.key)}
+                        >
+                            <Text style={[styles.optionText, hideUnavailable === option.key && styles.optionTextActive]}>
+                                {option.label}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <Text style={styles.title}>Dietary</Text>
+                <DietaryPicker value={dietary} onChange={setDietary} />
+                <Text style={styles.note}>
+                    Diets are only shown when the menu lists them. Allergens may be read from the dish descriptions. Please ask our staff about allergies.
+                </Text>
+
+                {/* Action buttons */}
+                <View style={styles.buttonRow}>
+                    <Button mode="outlined" onPress={handleReset} style={styles.resetButton} textColor="#495E57">
+                        Reset
+                    </Button>
+                    <Button
+                        mode="contained"
+                        onPress={handleApply}
+                        disabled={priceError !== null}
+                        style={styles.applyButton}
+                        buttonColor="#495E57"
+                        textColor="#F4CE14"
+                    >
+                        Apply
+                    </Button>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    sheet: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+        padding: 20,
+        paddingBottom: 32,
+    },
+    title: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 10,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 16,
+    },
+    option: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        marginBottom: 6,
+        borderRadius: 15,
+        backgroundColor: '#f5f5f5',
+    },
+    optionActive: {
+        backgroundColor: '#495E57',
+    },
+    optionText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+    },
+    optionTextActive: {
+        color: '#F4CE14',
+    },
+    priceRow: {
+        flexDirection: 'row',
+    },
+    priceInput: {
+        flex: 1,
+        marginRight: 8,
+        backgroundColor: '#fff',
+    },
+    note: {
+        fontSize: 11,
+        color: '#777',
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 8,
+    },
+    resetButton: {
+        flex: 1,
+        marginRight: 8,
+        borderColor: '#495E57',
+    },
+    applyButton: {
+        flex: 1,
+        marginLeft: 8,
+    },
+});
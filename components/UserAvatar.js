@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Image } from 'react-native';
+import { Text } from 'react-native-paper';
+import { getAvatarUri } from '../avatarStorage';
+
+/**
+ * User Avatar - Profile photo with an initials fallback
+ *
+ * Shows the user's photo when there is one. Without a photo, or when the
+ * file can no longer be loaded, it shows the initials of the user's first
+ * and last name; the lemon logo is only used when there is no name either.
+ *
+ * Props:
+ * - avatar: avatar from the profile (see avatarStorage.js) or a picked photo URI, optional
+ * - firstName / lastName: used for the initials
+ * - size: diameter in points (default 40)
+ * - style: extra style for the outer view
+ */
+
+const placeholderAvatar = require('../assets/lemon_logo.png'); // Shown when there is no name to take initials from
+
+/**
+ * Build the initials shown in place of a photo
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @returns {string} Up to two uppercase letters
+ */
+export function getInitials(firstName, lastName) {
+    return [firstName, lastName]
+        .map(name => (name || '').trim().charAt(0))
+        .join('')
+        .toUpperCase();
+}
+
+export default function UserAvatar({ avatar, firstName, lastName, size = 40, style }) {
+    const [failed, setFailed] = useState(false); // Photo could not be loaded
+    const uri = getAvatarUri(avatar);
+
+    // Try again whenever the photo changes
+    useEffect(() => {
+        setFailed(false);
+    }, [uri]);
+
+    const circle = { width: size, height: size, borderRadius: size / 2 };
+    const initials = getInitials(firstName, lastName);
+
+    if (uri && !failed) {
+        return (
+            <Image
+                source={{ uri }}
+                style={[styles.photo, circle, style]}
+                onError={() => setFailed(true)}
+            />
+        );
+    }
+
+    if (!initials) {
+        return <Image source={placeholderAvatar} style={[styles.photo, circle, style]} />;
+    }
+
+    return (
+        <View style={[styles.initials, circle, style]} accessibilityLabel={`${firstName || ''} ${lastName || ''}`.trim()}>
+            <Text style={[styles.initialsText, { fontSize: size * 0.4 }]}>{initials}</Text>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    photo: {
+        backgroundColor: '#fff',
+    },
+    initials: {
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#495E57',
+    },
+    initialsText: {
+        color: '#F4CE14',
+        fontWeight: 'bold',
+    },
+});
@@ -0,0 +1,32 @@
+import Constants from 'expo-constants';
+
+/**
+ * Config - Settings read from the "extra" section of app.json
+ *
+ * Lets each build point at its own services without code changes, e.g. a
+ * local mock server during development or another restaurant's menu:
+ *
+ *   "extra": {
+ *     "authUrl": "http://localhost:4000",
+ *     "menuSource": {
+ *       "type": "remote",
+ *       "menuUrl": "https://example.com/menu.json",
+ *       "imageBaseUrl": "https://example.com/images/"
+ *     }
+ *   }
+ */
+
+const extra = Constants.expoConfig?.extra ?? {};
+
+const DEFAULT_MENU_URL = 'https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/capstone.json';
+const DEFAULT_IMAGE_BASE_URL = 'https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/images/';
+
+// Base URL of the authentication backend
+export const AUTH_URL = (extra.authUrl ?? 'http://localhost:4000').replace(/\/+$/, '');
+
+// Where the menu and its images come from, see menuSource.js
+export const MENU_SOURCE = {
+  type: extra.menuSource?.type ?? 'remote', // 'remote' or 'bundled'
+  menuUrl: extra.menuSource?.menuUrl ?? DEFAULT_MENU_URL,
+  imageBaseUrl: (extra.menuSource?.imageBaseUrl ?? DEFAULT_IMAGE_BASE_URL).replace(/\/*$/, '/'),
+};
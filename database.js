@@ -1,9 +1,24 @@
 import * as SQLite from 'expo-sqlite';
+import { registerMigration, runMigrations } from './migrations';
+import { toWords, fuzzyMatchScore, suggestCorrection } from './fuzzy';
+import { calculateTotals } from './pricing';
+import { DatabaseError, ValidationError } from './errors';
+import { resolveDietaryTags, sortTags, splitDietaryFilter } from './dietary';
+import { applyMenuOverrides, createLocalKey, isLocalKey, getChangedFields } from './menuOverrides';
+import { isServedAt } from './availability';
+import { NO_OCCASION } from './reservations';
 // Open database with new API
 const db = SQLite.openDatabaseSync('little_lemon');
 
-export async function createTable() {
-  try {
+/**
+ * Schema history
+ * Versions 1 and 2 use IF NOT EXISTS because builds from before the migration
+ * runner created these tables without recording a schema version.
+ */
+registerMigration({
+  version: 1,
+  description: 'Create menuitems table',
+  up: async (db) => {
     await db.execAsync(`
       CREATE TABLE IF NOT EXISTS menuitems (
         id INTEGER PRIMARY KEY AUTOINCREMENT, 
@@ -14,66 +29,1387 @@ export async function createTable() {
         category TEXT
       );
     `);
+  },
+});
+
+registerMigration({
+  version: 2,
+  description: 'Create menu_sync table',
+  up: async (db) => {
+    await db.execAsync(`
+      CREATE TABLE IF NOT EXISTS menu_sync (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        source_url TEXT,
+        payload_hash TEXT,
+        etag TEXT,
+        item_count INTEGER,
+        synced_at INTEGER,
+        checked_at INTEGER,
+        last_error TEXT
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 3,
+  description: 'Add full-text search index over menuitems',
+  up: async (db) => {
+    // External-content FTS table, kept in sync with menuitems by triggers
+    await db.execAsync(`
+      CREATE VIRTUAL TABLE menuitems_fts USING fts5(
+        name,
+        description,
+        category,
+        content='menuitems',
+        content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      );
+      CREATE TRIGGER menuitems_fts_insert AFTER INSERT ON menuitems BEGIN
+        INSERT INTO menuitems_fts (rowid, name, description, category)
+        VALUES (new.id, new.name, new.description, new.category);
+      END;
+      CREATE TRIGGER menuitems_fts_delete AFTER DELETE ON menuitems BEGIN
+        INSERT INTO menuitems_fts (menuitems_fts, rowid, name, description, category)
+        VALUES ('delete', old.id, old.name, old.description, old.category);
+      END;
+      CREATE TRIGGER menuitems_fts_update AFTER UPDATE ON menuitems BEGIN
+        INSERT INTO menuitems_fts (menuitems_fts, rowid, name, description, category)
+        VALUES ('delete', old.id, old.name, old.description, old.category);
+        INSERT INTO menuitems_fts (rowid, name, description, category)
+        VALUES (new.id, new.name, new.description, new.category);
+      END;
+      INSERT INTO menuitems_fts (menuitems_fts) VALUES ('rebuild');
+    `);
+  },
+});
+
+registerMigration({
+  version: 4,
+  description: 'Add popularity to menuitems',
+  up: async (db) => {
+    await db.execAsync('ALTER TABLE menuitems ADD COLUMN popularity INTEGER NOT NULL DEFAULT 0');
+  },
+});
+
+registerMigration({
+  version: 5,
+  description: 'Create cart table',
+  up: async (db) => {
+    // Cart lines disappear with their dish when a sync removes it from the menu
+    await db.execAsync(`
+      CREATE TABLE cart (
+        menu_item_id INTEGER PRIMARY KEY REFERENCES menuitems (id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        added_at INTEGER NOT NULL
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 6,
+  description: 'Create orders and order_items tables',
+  up: async (db) => {
+    // Order lines copy name and price so the history stays correct after menu changes
+    await db.execAsync(`
+      CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at INTEGER NOT NULL,
+        fulfillment TEXT NOT NULL CHECK (fulfillment IN ('pickup', 'delivery')),
+        scheduled_for INTEGER,
+        address TEXT,
+        notes TEXT,
+        customer_name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        phone TEXT,
+        subtotal REAL NOT NULL,
+        tax REAL NOT NULL,
+        total REAL NOT NULL
+      );
+      CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+        menu_item_id INTEGER,
+        name TEXT NOT NULL,
+        price REAL NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0)
+      );
+      CREATE INDEX order_items_order_id ON order_items (order_id);
+    `);
+  },
+});
+
+registerMigration({
+  version: 7,
+  description: 'Create reservations table',
+  up: async (db) => {
+    // Dates and times are stored as local 'YYYY-MM-DD' and 'HH:MM' strings so they sort correctly
+    await db.execAsync(`
+      CREATE TABLE reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        time TEXT NOT NULL,
+        party_size INTEGER NOT NULL CHECK (party_size > 0),
+        occasion TEXT,
+        status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 8,
+  description: 'Create image_cache table',
+  up: async (db) => {
+    // One row per menu image stored on disk, see imageCache.js
+    await db.execAsync(`
+      CREATE TABLE image_cache (
+        filename TEXT PRIMARY KEY,
+        size INTEGER NOT NULL,
+        downloaded_at INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 9,
+  description: 'Create favorites table',
+  up: async (db) => {
+    // Keyed by dish name, like the menu sync, so favorites survive items being re-inserted
+    await db.execAsync(`
+      CREATE TABLE favorites (
+        name TEXT PRIMARY KEY,
+        added_at INTEGER NOT NULL
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 10,
+  description: 'Create menu_item_tags table',
+  up: async (db) => {
+    await db.execAsync(`
+      CREATE TABLE menu_item_tags (
+        menu_item_id INTEGER NOT NULL REFERENCES menuitems (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        source TEXT NOT NULL CHECK (source IN ('payload', 'detected')),
+        PRIMARY KEY (menu_item_id, tag)
+      );
+      CREATE INDEX menu_item_tags_tag ON menu_item_tags (tag);
+    `);
+
+    // Tag the cached menu from its descriptions, the next sync uses payload tags where there are any
+    const items = await db.getAllAsync('SELECT id, name, description FROM menuitems');
+    for (const item of items) {
+      await writeItemTags(db, item.id, resolveDietaryTags(item));
+    }
+  },
+});
+
+registerMigration({
+  version: 11,
+  description: 'Add item keys, availability and menu_overrides table',
+  up: async (db) => {
+    // Synced dishes are keyed by name (see menuOverrides.js), local dishes get a 'local:' key
+    await db.execAsync(`
+      ALTER TABLE menuitems ADD COLUMN item_key TEXT;
+      ALTER TABLE menuitems ADD COLUMN available INTEGER NOT NULL DEFAULT 1;
+      UPDATE menuitems SET item_key = name;
+      CREATE INDEX menuitems_item_key ON menuitems (item_key);
+
+      CREATE TABLE menu_overrides (
+        item_key TEXT PRIMARY KEY,
+        action TEXT NOT NULL CHECK (action IN ('create', 'edit', 'delete')),
+        name TEXT,
+        price REAL,
+        description TEXT,
+        image TEXT,
+        category TEXT,
+        available INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+});
+
+registerMigration({
+  version: 12,
+  description: 'Add serving times and special days to menuitems',
+  up: async (db) => {
+    // Comma-separated keys from availability.js, NULL means no limit
+    await db.execAsync(`
+      ALTER TABLE menuitems ADD COLUMN meals TEXT;
+      ALTER TABLE menuitems ADD COLUMN days TEXT;
+      ALTER TABLE menuitems ADD COLUMN special_days TEXT;
+    `);
+  },
+});
+
+registerMigration({
+  version: 13,
+  description: 'Drop diet tags guessed from descriptions',
+  up: async (db) => {
+    // Detection only adds allergens now, a diet has to be listed in the menu payload
+    await db.runAsync(
+      "DELETE FROM menu_item_tags WHERE source = 'detected' AND tag IN ('vegetarian', 'vegan', 'gluten-free')"
+    );
+  },
+});
+
+registerMigration({
+  version: 14,
+  description: 'Keep cart, orders, reservations and favorites per profile',
+  up: async (db) => {
+    // Rows from before keep a NULL profile and are shown to nobody: with several accounts on
+    // the device there is no telling whose they are, and orders hold contact details
+    await db.execAsync(`
+      CREATE TABLE cart_new (
+        profile_id TEXT,
+        menu_item_id INTEGER NOT NULL REFERENCES menuitems (id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (profile_id, menu_item_id)
+      );
+      INSERT INTO cart_new (menu_item_id, quantity, added_at) SELECT menu_item_id, quantity, added_at FROM cart;
+      DROP TABLE cart;
+      ALTER TABLE cart_new RENAME TO cart;
+
+      CREATE TABLE favorites_new (
+        profile_id TEXT,
+        name TEXT NOT NULL,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (profile_id, name)
+      );
+      INSERT INTO favorites_new (name, added_at) SELECT name, added_at FROM favorites;
+      DROP TABLE favorites;
+      ALTER TABLE favorites_new RENAME TO favorites;
+
+      ALTER TABLE orders ADD COLUMN profile_id TEXT;
+      CREATE INDEX orders_profile_id ON orders (profile_id);
+      ALTER TABLE reservations ADD COLUMN profile_id TEXT;
+      CREATE INDEX reservations_profile_id ON reservations (profile_id);
+    `);
+  },
+});
+
+registerMigration({
+  version: 15,
+  description: "Store the 'None' occasion of reservations as NULL",
+  up: async (db) => {
+    await db.runAsync('UPDATE reservations SET occasion = NULL WHERE occasion = ?', [NO_OCCASION]);
+  },
+});
+
+let initialization = null; // Shared promise so migrations only run once per launch
+let profileId = null; // Profile the cart, orders, reservations and favorites belong to, see setDatabaseProfile
+
+// Tables with a profile_id column, order_items follow their order
+const PROFILE_TABLES = ['cart', 'orders', 'reservations', 'favorites'];
+
+/**
+ * Prepare the database for use by running any pending migrations
+ * Safe to call from every screen, only the first call does the work
+ */
+export function initializeDatabase() {
+  if (!initialization) {
+    initialization = (async () => {
+      // SQLite leaves foreign keys off unless asked, per connection
+      await db.execAsync('PRAGMA foreign_keys = ON');
+      return runMigrations(db);
+    })().catch(error => {
+      initialization = null; // Allow a retry
+      throw new DatabaseError('Failed to initialize database: ' + error.message, { cause: error });
+    });
+  }
+  return initialization;
+}
+
+/**
+ * Choose the profile whose cart, orders, reservations and favorites are read and written
+ * @param {string|null} id - Profile id, null when nobody is signed in
+ */
+export function setDatabaseProfile(id) {
+  profileId = id;
+}
+
+/**
+ * Delete the cart, orders, reservations and favorites of a profile
+ * @param {string} id - Profile id
+ */
+export async function deleteProfileData(id) {
+  try {
+    await initializeDatabase();
+    await db.withTransactionAsync(async () => {
+      for (const table of PROFILE_TABLES) {
+        await db.runAsync(`DELETE FROM ${table} WHERE profile_id = ?`, [id]);
+      }
+    });
   } catch (error) {
-    throw new Error('Failed to create table: ' + error.message);
+    throw new DatabaseError('Failed to delete profile data: ' + error.message, { cause: error });
   }
 }
 
+/**
+ * Get the profile set with setDatabaseProfile
+ * @returns {string} Profile id
+ */
+function requireProfileId() {
+  if (!profileId) throw new Error('No profile is signed in');
+  return profileId;
+}
+
 export async function getMenuItems() {
   try {
     const result = await db.getAllAsync('SELECT * FROM menuitems');
     return result;
   } catch (error) {
-    throw new Error('Failed to get menu items: ' + error.message);
+    throw new DatabaseError('Failed to get menu items: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Replace the dietary tags of a menu item
+ * @param {Object} db - Database or transaction to write with
+ * @param {number} id - Menu item id
+ * @param {{tags: string[], source: string}} dietary - Tags from resolveDietaryTags
+ */
+async function writeItemTags(db, id, { tags, source }) {
+  await db.runAsync('DELETE FROM menu_item_tags WHERE menu_item_id = ?', [id]);
+  for (const tag of tags) {
+    await db.runAsync('INSERT INTO menu_item_tags (menu_item_id, tag, source) VALUES (?, ?, ?)', [id, tag, source]);
   }
 }
 
+/**
+ * Store a list of availability keys in a column
+ * @param {string[]|null} list - Keys from availability.js
+ * @returns {string|null} Comma-separated keys, null for no limit
+ */
+function toKeyColumn(list) {
+  return list && list.length > 0 ? list.join(',') : null;
+}
+
+/**
+ * Apply a freshly fetched menu to the menuitems table
+ * - Staff overrides are applied first, so local changes survive the sync (see menuOverrides.js)
+ * - Items are matched to existing rows by item key, so ids stay stable across syncs
+ * - New items are inserted, changed items are updated, missing items are deleted
+ * - Dietary tags are rewritten for items whose tags changed (see dietary.js)
+ * - Serving times and special days are stored as given (see availability.js)
+ * - Unchanged rows are left untouched
+ * @param {Array} menuItems - Items from the menu payload
+ * @returns {Promise<{added: number, updated: number, removed: number}>} What changed
+ */
 export async function saveMenuItems(menuItems) {
+  const changes = { added: 0, updated: 0, removed: 0 };
+
   try {
     await db.withTransactionAsync(async () => {
-      // Clear existing data
-      await db.runAsync('DELETE FROM menuitems');
-      
-      // Insert new data
-      for (const item of menuItems) {
-        await db.runAsync(
-            'INSERT INTO menuitems (id, name, price, description, image, category) VALUES (?, ?, ?, ?, ?, ?)',
-            [item.id, item.name, item.price, item.description, item.image, item.category]
-        );
+      const existingRows = await db.getAllAsync('SELECT * FROM menuitems');
+      const existingByKey = new Map(existingRows.map(row => [row.item_key, row]));
+      const incomingKeys = new Set();
+      const overrides = await db.getAllAsync('SELECT * FROM menu_overrides');
+
+      // Stored tags per item, compared in the order resolveDietaryTags returns them
+      const tagRows = await db.getAllAsync('SELECT menu_item_id, tag, source FROM menu_item_tags');
+      const storedTags = new Map();
+      for (const row of tagRows) {
+        if (!storedTags.has(row.menu_item_id)) storedTags.set(row.menu_item_id, { tags: [], source: row.source });
+        storedTags.get(row.menu_item_id).tags.push(row.tag);
+      }
+
+      for (const item of applyMenuOverrides(menuItems, overrides)) {
+        incomingKeys.add(item.itemKey);
+
+        const price = Number(item.price);
+        const existing = existingByKey.get(item.itemKey);
+        const dietary = resolveDietaryTags(item);
+        const meals = toKeyColumn(item.meals);
+        const days = toKeyColumn(item.days);
+        const specialDays = toKeyColumn(item.specialDays);
+
+        if (!existing) {
+          const result = await db.runAsync(
+            `INSERT INTO menuitems (item_key, name, price, description, image, category, available, meals, days, special_days)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [item.itemKey, item.name, price, item.description, item.image, item.category, item.available, meals, days, specialDays]
+          );
+          await writeItemTags(db, result.lastInsertRowId, dietary);
+          changes.added++;
+          continue;
+        }
+
+        const fieldsChanged =
+          existing.name !== item.name ||
+          existing.price !== price ||
+          existing.description !== item.description ||
+          existing.image !== item.image ||
+          existing.category !== item.category ||
+          existing.available !== item.available ||
+          existing.meals !== meals ||
+          existing.days !== days ||
+          existing.special_days !== specialDays;
+        const stored = storedTags.get(existing.id) || { tags: [], source: dietary.source };
+        const tagsChanged = stored.source !== dietary.source || sortTags(stored.tags).join() !== dietary.tags.join();
+
+        if (fieldsChanged) {
+          await db.runAsync(
+            `UPDATE menuitems SET name = ?, price = ?, description = ?, image = ?, category = ?, available = ?,
+             meals = ?, days = ?, special_days = ?
+             WHERE id = ?`,
+            [item.name, price, item.description, item.image, item.category, item.available, meals, days, specialDays, existing.id]
+          );
+        }
+        if (tagsChanged) {
+          await writeItemTags(db, existing.id, dietary);
+        }
+        if (fieldsChanged || tagsChanged) changes.updated++;
+      }
+
+      // Remove dishes that are no longer on the menu
+      for (const row of existingRows) {
+        if (!incomingKeys.has(row.item_key)) {
+          await db.runAsync('DELETE FROM menuitems WHERE id = ?', [row.id]);
+          changes.removed++;
+        }
       }
     });
+    return changes;
   } catch (error) {
-    throw new Error('Failed to save menu items: ' + error.message);
+    throw new DatabaseError('Failed to save menu items: ' + error.message, { cause: error });
   }
 }
 
-export async function filterByCategory(category) {
+// Column telling whether a menu item is a favorite, 1 or 0; takes the profile id as parameter
+const IS_FAVORITE = 'EXISTS (SELECT 1 FROM favorites WHERE favorites.profile_id = ? AND favorites.name = menuitems.name) AS isFavorite';
+
+// Columns with the dietary tags of a menu item, turned into a list by toMenuItem
+const DIETARY_COLUMNS = `
+  (SELECT group_concat(tag) FROM menu_item_tags WHERE menu_item_id = menuitems.id) AS dietaryTags,
+  (SELECT source FROM menu_item_tags WHERE menu_item_id = menuitems.id LIMIT 1) AS dietarySource
+`;
+
+/**
+ * Turn the dietary and availability columns of a row into lists
+ * @param {Object|null} row - Row selected with DIETARY_COLUMNS
+ * @returns {Object|null} Row with dietaryTags as an array and dietarySource ('payload', 'detected' or null),
+ *   plus meals, days and specialDays as arrays or null (see availability.js)
+ */
+function toMenuItem(row) {
+  if (!row) return row;
+  const { special_days: specialDays, ...item } = row;
+  return {
+    ...item,
+    dietaryTags: row.dietaryTags ? sortTags(row.dietaryTags.split(',')) : [],
+    meals: row.meals ? row.meals.split(',') : null,
+    days: row.days ? row.days.split(',') : null,
+    specialDays: specialDays ? specialDays.split(',') : null,
+  };
+}
+
+/**
+ * Get a single menu item
+ * @param {number} id - Menu item id
+ * @returns {Promise<Object|null>} The item with isFavorite, dietaryTags and serving times, or null if it is not on the menu
+ */
+export async function getMenuItemById(id) {
   try {
-    if (category === 'all') {
-      return await db.getAllAsync('SELECT * FROM menuitems ORDER BY category, name');
-    } else {
-      return await db.getAllAsync(
-        'SELECT * FROM menuitems WHERE LOWER(category) = LOWER(?) ORDER BY name',
-        [category]
+    return toMenuItem(await db.getFirstAsync(
+      `SELECT menuitems.*, ${IS_FAVORITE}, ${DIETARY_COLUMNS} FROM menuitems WHERE id = ?`,
+      [requireProfileId(), id]
+    ));
+  } catch (error) {
+    throw new DatabaseError('Failed to get menu item: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the record of the last menu sync
+ * @returns {Promise<Object|null>} Sync state, or null if the menu was never synced
+ */
+export async function getSyncState() {
+  try {
+    return await db.getFirstAsync(`
+      SELECT source_url AS sourceUrl, payload_hash AS payloadHash, etag, item_count AS itemCount,
+             synced_at AS syncedAt, checked_at AS checkedAt, last_error AS lastError
+      FROM menu_sync WHERE id = 1
+    `);
+  } catch (error) {
+    throw new DatabaseError('Failed to get sync state: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Record the outcome of a menu sync
+ * @param {Object} state - Sync state with the same fields returned by getSyncState
+ */
+export async function saveSyncState(state) {
+  try {
+    await db.runAsync(
+      `INSERT OR REPLACE INTO menu_sync (id, source_url, payload_hash, etag, item_count, synced_at, checked_at, last_error)
+       VALUES (1, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        state.sourceUrl ?? null,
+        state.payloadHash ?? null,
+        state.etag ?? null,
+        state.itemCount ?? null,
+        state.syncedAt ?? null,
+        state.checkedAt ?? null,
+        state.lastError ?? null,
+      ]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to save sync state: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the categories present in the menu with the number of items in each
+ * Categories are compared case-insensitively and ordered by first appearance in the menu
+ * @returns {Promise<Array<{category: string, count: number}>>} Distinct lowercase categories
+ */
+export async function getCategories() {
+  try {
+    return await db.getAllAsync(`
+      SELECT LOWER(category) AS category, COUNT(*) AS count
+      FROM menuitems
+      WHERE category IS NOT NULL AND TRIM(category) <> ''
+      GROUP BY LOWER(category)
+      ORDER BY MIN(id)
+    `);
+  } catch (error) {
+    throw new DatabaseError('Failed to get categories: ' + error.message, { cause: error });
+  }
+}
+
+// Markers wrapped around matched terms in search results (private-use characters)
+export const HIGHLIGHT_START = '\uE000';
+export const HIGHLIGHT_END = '\uE001';
+
+/**
+ * Turn user input into an FTS5 query
+ * Every word must match the start of a word in the item ("brus" finds "Bruschetta"),
+ * and all words must be present somewhere in name, description or category.
+ * @param {string} query - Raw search input
+ * @returns {string[]} Quoted prefix terms, empty if the input has no words
+ */
+function buildSearchTerms(query) {
+  return toWords(query).map(word => `"${word}"*`);
+}
+
+// ORDER BY clauses for the sort options of queryMenuItems
+const SORT_ORDERS = {
+  relevance: 'nameHit DESC, bm25(menuitems_fts, 10.0, 2.0, 1.0), menuitems.name',
+  category: 'menuitems.category, menuitems.name',
+  name: 'menuitems.name COLLATE NOCASE',
+  price_asc: 'menuitems.price ASC, menuitems.name',
+  price_desc: 'menuitems.price DESC, menuitems.name',
+  popular: 'menuitems.popularity DESC, menuitems.name',
+};
+
+/**
+ * Build the WHERE conditions for category, price, favorite and dietary filters
+ * @param {Object} filters
+ * @param {string[]} [filters.categories] - Categories to include, empty for all
+ * @param {number|null} [filters.minPrice] - Lowest price to include
+ * @param {number|null} [filters.maxPrice] - Highest price to include
+ * @param {boolean} [filters.favoritesOnly] - Only include favorite dishes
+ * @param {string[]} [filters.dietary] - Diet tags the dishes must have and allergen tags they must not have
+ * @returns {{conditions: string[], params: Array}} SQL conditions and their parameters
+ */
+function buildFilterConditions({ categories = [], minPrice = null, maxPrice = null, favoritesOnly = false, dietary = [] }) {
+  const conditions = [];
+  const params = [];
+
+  if (favoritesOnly) {
+    conditions.push('menuitems.name IN (SELECT name FROM favorites WHERE profile_id = ?)');
+    params.push(requireProfileId());
+  }
+
+  const { diets, excludeAllergens } = splitDietaryFilter(dietary);
+  for (const diet of diets) {
+    conditions.push('menuitems.id IN (SELECT menu_item_id FROM menu_item_tags WHERE tag = ?)');
+    params.push(diet);
+  }
+  if (excludeAllergens.length > 0) {
+    conditions.push(
+      `menuitems.id NOT IN (SELECT menu_item_id FROM menu_item_tags WHERE tag IN (${excludeAllergens.map(() => '?').join(', ')}))`
+    );
+    params.push(...excludeAllergens);
+  }
+
+  if (categories.length > 0) {
+    conditions.push(`LOWER(menuitems.category) IN (${categories.map(() => '?').join(', ')})`);
+    params.push(...categories.map(category => category.toLowerCase()));
+  }
+  if (minPrice !== null && minPrice !== undefined) {
+    conditions.push('menuitems.price >= ?');
+    params.push(minPrice);
+  }
+  if (maxPrice !== null && maxPrice !== undefined) {
+    conditions.push('menuitems.price <= ?');
+    params.push(maxPrice);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Query menu items with search, category filters and sorting combined
+ * - With a search term, uses the full-text index; items whose name matches come first
+ *   and each result carries nameHighlighted and descriptionHighlighted with the matched
+ *   terms wrapped in HIGHLIGHT_START / HIGHLIGHT_END
+ * - Categories are matched case-insensitively, an empty list means all categories
+ * - Every result carries isFavorite, dietaryTags and dietarySource
+ * @param {Object} options
+ * @param {string} [options.search] - Search input, empty for no search
+ * @param {string[]} [options.categories] - Categories to include
+ * @param {number|null} [options.minPrice] - Lowest price to include
+ * @param {number|null} [options.maxPrice] - Highest price to include
+ * @param {boolean} [options.favoritesOnly] - Only include favorite dishes
+ * @param {string[]} [options.dietary] - Diet tags to require and allergen tags to leave out
+ * @param {string} [options.sort] - 'relevance', 'category', 'name', 'price_asc', 'price_desc'
+ *   or 'popular'; defaults to relevance when searching and category otherwise
+ * @returns {Promise<Array>} Matching menu items in the requested order
+ */
+export async function queryMenuItems({ search = '', categories = [], minPrice = null, maxPrice = null, favoritesOnly = false, dietary = [], sort } = {}) {
+  try {
+    const terms = buildSearchTerms(search);
+    const isSearching = terms.length > 0;
+
+    const columns = ['menuitems.*', IS_FAVORITE, DIETARY_COLUMNS];
+    const conditions = [];
+    const params = [requireProfileId()];
+    let from = 'menuitems';
+
+    if (isSearching) {
+      columns.push(
+        'highlight(menuitems_fts, 0, ?, ?) AS nameHighlighted',
+        'highlight(menuitems_fts, 1, ?, ?) AS descriptionHighlighted',
+        'menuitems.id IN (SELECT rowid FROM menuitems_fts WHERE menuitems_fts MATCH ?) AS nameHit'
       );
+      params.push(HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, `name : (${terms.join(' OR ')})`);
+
+      from = 'menuitems_fts JOIN menuitems ON menuitems.id = menuitems_fts.rowid';
+      conditions.push('menuitems_fts MATCH ?');
+      params.push(terms.join(' '));
     }
+
+    const filters = buildFilterConditions({ categories, minPrice, maxPrice, favoritesOnly, dietary });
+    conditions.push(...filters.conditions);
+    params.push(...filters.params);
+
+    // Relevance only means something when there is a search term
+    let sortKey = sort || (isSearching ? 'relevance' : 'category');
+    if (sortKey === 'relevance' && !isSearching) sortKey = 'category';
+    const orderBy = SORT_ORDERS[sortKey];
+    if (!orderBy) throw new Error(`Unknown sort option: ${sortKey}`);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await db.getAllAsync(
+      `SELECT ${columns.join(', ')} FROM ${from} ${where} ORDER BY ${orderBy}`,
+      params
+    );
+    return rows.map(toMenuItem);
   } catch (error) {
-    throw new Error('Failed to filter by category: ' + error.message);
+    throw new DatabaseError('Failed to query menu items: ' + error.message, { cause: error });
   }
 }
 
-export async function searchMenuItems(query) {
+/**
+ * Typo-tolerant search over menu item names
+ * Meant as a fallback for when a queryMenuItems search finds nothing
+ * - Items whose name is within a few typos of every query word, closest first
+ * - A corrected query built from the words in names and categories
+ * @param {string} query - Search input
+ * @param {Object} [filters] - Category, price, favorite and dietary filters, as for queryMenuItems
+ * @returns {Promise<{items: Array, suggestion: string|null}>} Close matches and "did you mean" text
+ */
+export async function fuzzySearchMenuItems(query, filters = {}) {
   try {
-    if (!query || query.trim() === '') {
-      return await db.getAllAsync('SELECT * FROM menuitems ORDER BY category, name');
+    const { conditions, params } = buildFilterConditions(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await db.getAllAsync(
+      `SELECT menuitems.*, ${IS_FAVORITE}, ${DIETARY_COLUMNS} FROM menuitems ${where}`,
+      [requireProfileId(), ...params]
+    );
+    const candidates = rows.map(toMenuItem);
+
+    const matches = [];
+    for (const item of candidates) {
+      const score = fuzzyMatchScore(query, item.name);
+      if (score !== null) matches.push({ item, score });
     }
-    
-    const searchTerm = `%${query.trim()}%`;
+    matches.sort((a, b) => a.score - b.score || a.item.name.localeCompare(b.item.name));
+
+    // Suggestions may point outside the current filters, that is what the user probably meant
+    const allItems = await db.getAllAsync('SELECT name, category FROM menuitems');
+    const vocabulary = [...new Set(allItems.flatMap(item => [...toWords(item.name), ...toWords(item.category)]))];
+
+    return {
+      items: matches.map(match => match.item),
+      suggestion: suggestCorrection(query, vocabulary),
+    };
+  } catch (error) {
+    throw new DatabaseError('Failed to run fuzzy search: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Mark or unmark a dish as a favorite
+ * @param {string} name - Menu item name
+ * @param {boolean} isFavorite - Whether the dish should be a favorite
+ */
+export async function setFavorite(name, isFavorite) {
+  try {
+    if (isFavorite) {
+      await db.runAsync(
+        'INSERT OR IGNORE INTO favorites (profile_id, name, added_at) VALUES (?, ?, ?)',
+        [requireProfileId(), name, Date.now()]
+      );
+    } else {
+      await db.runAsync('DELETE FROM favorites WHERE profile_id = ? AND name = ?', [requireProfileId(), name]);
+    }
+  } catch (error) {
+    throw new DatabaseError('Failed to save favorite: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Count the favorite dishes that are on the current menu
+ * @returns {Promise<number>} Number of favorites
+ */
+export async function getFavoriteCount() {
+  try {
+    const row = await db.getFirstAsync(
+      'SELECT COUNT(*) AS count FROM menuitems WHERE name IN (SELECT name FROM favorites WHERE profile_id = ?)',
+      [requireProfileId()]
+    );
+    return row ? row.count : 0;
+  } catch (error) {
+    throw new DatabaseError('Failed to count favorites: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Count a guest's interest in a menu item for the "popular" sort
+ * The counter lives on the menuitems row and is kept across menu syncs
+ * @param {number} id - Menu item id
+ * @param {number} amount - How much to add
+ */
+export async function incrementPopularity(id, amount = 1) {
+  try {
+    await db.runAsync('UPDATE menuitems SET popularity = popularity + ? WHERE id = ?', [amount, id]);
+  } catch (error) {
+    throw new DatabaseError('Failed to update popularity: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the cart lines with the current menu details of each dish
+ * @returns {Promise<Array>} Lines with id, name, price, image, available, serving times and quantity, oldest first
+ */
+export async function getCartItems() {
+  try {
+    const rows = await db.getAllAsync(`
+      SELECT menuitems.id, menuitems.name, menuitems.price, menuitems.image, menuitems.available,
+             menuitems.meals, menuitems.days, cart.quantity
+      FROM cart
+      JOIN menuitems ON menuitems.id = cart.menu_item_id
+      WHERE cart.profile_id = ?
+      ORDER BY cart.added_at
+    `, [requireProfileId()]);
+    return rows.map(toMenuItem);
+  } catch (error) {
+    throw new DatabaseError('Failed to get cart items: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the total number of portions in the cart
+ * @returns {Promise<number>} Sum of all quantities
+ */
+export async function getCartCount() {
+  try {
+    const row = await db.getFirstAsync(
+      'SELECT COALESCE(SUM(quantity), 0) AS count FROM cart WHERE profile_id = ?',
+      [requireProfileId()]
+    );
+    return row.count;
+  } catch (error) {
+    throw new DatabaseError('Failed to get cart count: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Add portions of a dish to the cart, on top of any already there
+ * @param {number} id - Menu item id
+ * @param {number} quantity - Portions to add
+ */
+export async function addToCart(id, quantity = 1) {
+  try {
+    await db.runAsync(
+      `INSERT INTO cart (profile_id, menu_item_id, quantity, added_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (profile_id, menu_item_id) DO UPDATE SET quantity = quantity + excluded.quantity`,
+      [requireProfileId(), id, quantity, Date.now()]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to add to cart: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Change the quantity of a cart line
+ * @param {number} id - Menu item id
+ * @param {number} quantity - New quantity, 0 or less removes the line
+ */
+export async function setCartQuantity(id, quantity) {
+  if (quantity <= 0) {
+    return removeFromCart(id);
+  }
+  try {
+    await db.runAsync(
+      'UPDATE cart SET quantity = ? WHERE profile_id = ? AND menu_item_id = ?',
+      [quantity, requireProfileId(), id]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to update cart: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Remove a dish from the cart
+ * @param {number} id - Menu item id
+ */
+export async function removeFromCart(id) {
+  try {
+    await db.runAsync('DELETE FROM cart WHERE profile_id = ? AND menu_item_id = ?', [requireProfileId(), id]);
+  } catch (error) {
+    throw new DatabaseError('Failed to remove from cart: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Empty the cart
+ */
+export async function clearCart() {
+  try {
+    await db.runAsync('DELETE FROM cart WHERE profile_id = ?', [requireProfileId()]);
+  } catch (error) {
+    throw new DatabaseError('Failed to clear cart: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Turn the current cart into a completed order
+ * - Refuses the order while a dish in the cart is sold out, or is not served at
+ *   the time the order is for (the scheduled time, or now)
+ * - Copies every cart line into order_items with its current name and price
+ * - Counts the ordered portions towards each dish's popularity
+ * - Empties the cart
+ * @param {Object} details
+ * @param {string} details.fulfillment - 'pickup' or 'delivery'
+ * @param {number|null} details.scheduledFor - Requested time (ms), null for as soon as possible
+ * @param {string} [details.address] - Delivery address
+ * @param {string} [details.notes] - Notes for the kitchen
+ * @param {string} details.customerName - Name on the order
+ * @param {string} details.email - Contact email
+ * @param {string} [details.phone] - Contact phone
+ * @returns {Promise<number>} Id of the new order
+ * @throws {ValidationError} When the cart is empty or holds a dish that cannot be ordered
+ */
+export async function placeOrder(details) {
+  try {
+    const owner = requireProfileId();
+    let orderId = null;
+
+    await db.withTransactionAsync(async () => {
+      const rows = await db.getAllAsync(`
+        SELECT menuitems.id, menuitems.name, menuitems.price, menuitems.available, menuitems.meals, menuitems.days, cart.quantity
+        FROM cart
+        JOIN menuitems ON menuitems.id = cart.menu_item_id
+        WHERE cart.profile_id = ?
+      `, [owner]);
+      if (rows.length === 0) throw new ValidationError('The cart is empty');
+      const lines = rows.map(toMenuItem);
+
+      const soldOut = lines.filter(line => !line.available).map(line => line.name);
+      if (soldOut.length > 0) throw new ValidationError(`Sold out: ${soldOut.join(', ')}. Remove from the cart to continue`);
+
+      const orderedFor = new Date(details.scheduledFor ?? Date.now());
+      const notServed = lines.filter(line => !isServedAt(line, orderedFor)).map(line => line.name);
+      if (notServed.length > 0) {
+        throw new ValidationError(`Not served at that time: ${notServed.join(', ')}. Remove from the cart or pick another time`);
+      }
+
+      const { subtotal, tax, total } = calculateTotals(lines);
+      const result = await db.runAsync(
+        `INSERT INTO orders (profile_id, created_at, fulfillment, scheduled_for, address, notes, customer_name, email, phone, subtotal, tax, total)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          owner,
+          Date.now(),
+          details.fulfillment,
+          details.scheduledFor ?? null,
+          details.address || null,
+          details.notes || null,
+          details.customerName,
+          details.email,
+          details.phone || null,
+          subtotal,
+          tax,
+          total,
+        ]
+      );
+      orderId = result.lastInsertRowId;
+
+      for (const line of lines) {
+        await db.runAsync(
+          'INSERT INTO order_items (order_id, menu_item_id, name, price, quantity) VALUES (?, ?, ?, ?, ?)',
+          [orderId, line.id, line.name, line.price, line.quantity]
+        );
+        await db.runAsync('UPDATE menuitems SET popularity = popularity + ? WHERE id = ?', [line.quantity, line.id]);
+      }
+
+      await db.runAsync('DELETE FROM cart WHERE profile_id = ?', [owner]);
+    });
+
+    return orderId;
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new DatabaseError('Failed to place order: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get all past orders of the profile, newest first
+ * @returns {Promise<Array>} Orders with their lines in an `items` array
+ */
+export async function getOrders() {
+  try {
+    const owner = requireProfileId();
+    const orders = await db.getAllAsync(`
+      SELECT id, created_at AS createdAt, fulfillment, scheduled_for AS scheduledFor, address, notes,
+             customer_name AS customerName, email, phone, subtotal, tax, total
+      FROM orders
+      WHERE profile_id = ?
+      ORDER BY created_at DESC
+    `, [owner]);
+    const items = await db.getAllAsync(`
+      SELECT order_id AS orderId, menu_item_id AS menuItemId, name, price, quantity
+      FROM order_items
+      WHERE order_id IN (SELECT id FROM orders WHERE profile_id = ?)
+      ORDER BY id
+    `, [owner]);
+
+    return orders.map(order => ({
+      ...order,
+      items: items.filter(item => item.orderId === order.id),
+    }));
+  } catch (error) {
+    throw new DatabaseError('Failed to get orders: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Put the dishes of a past order back into the cart
+ * Dishes that are no longer on the menu or are sold out are skipped
+ * @param {number} orderId - Order to repeat
+ * @returns {Promise<{added: number, unavailable: string[]}>} Lines added and names that were skipped
+ */
+export async function reorder(orderId) {
+  try {
+    const owner = requireProfileId();
+    const result = { added: 0, unavailable: [] };
+
+    await db.withTransactionAsync(async () => {
+      const lines = await db.getAllAsync(
+        `SELECT order_items.name, order_items.quantity, menuitems.id AS currentId, menuitems.available
+         FROM order_items
+         JOIN orders ON orders.id = order_items.order_id
+         LEFT JOIN menuitems ON menuitems.id = order_items.menu_item_id
+         WHERE order_items.order_id = ? AND orders.profile_id = ?`,
+        [orderId, owner]
+      );
+
+      for (const line of lines) {
+        if (line.currentId === null || !line.available) {
+          result.unavailable.push(line.name);
+          continue;
+        }
+        await db.runAsync(
+          `INSERT INTO cart (profile_id, menu_item_id, quantity, added_at) VALUES (?, ?, ?, ?)
+           ON CONFLICT (profile_id, menu_item_id) DO UPDATE SET quantity = quantity + excluded.quantity`,
+          [owner, line.currentId, line.quantity, Date.now()]
+        );
+        result.added++;
+      }
+    });
+
+    return result;
+  } catch (error) {
+    throw new DatabaseError('Failed to reorder: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Turn the occasion picked for a booking into the stored value
+ * @param {string|null} occasion - One of OCCASIONS
+ * @returns {string|null} Occasion, null for none
+ */
+function toStoredOccasion(occasion) {
+  return occasion && occasion !== NO_OCCASION ? occasion : null;
+}
+
+// Columns of the reservations table as returned to the screens
+const RESERVATION_COLUMNS = `
+  id, date, time, party_size AS partySize, occasion, status,
+  created_at AS createdAt, updated_at AS updatedAt
+`;
+
+/**
+ * Get all reservations of the profile, in date and time order
+ * @returns {Promise<Array>} Reservations, including cancelled ones
+ */
+export async function getReservations() {
+  try {
     return await db.getAllAsync(
-      'SELECT * FROM menuitems WHERE LOWER(name) LIKE LOWER(?) OR LOWER(description) LIKE LOWER(?) ORDER BY category, name',
-      [searchTerm, searchTerm]
+      `SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE profile_id = ? ORDER BY date, time`,
+      [requireProfileId()]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to get reservations: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get a single reservation
+ * @param {number} id - Reservation id
+ * @returns {Promise<Object|null>} The reservation, or null if it does not exist or belongs to another profile
+ */
+export async function getReservationById(id) {
+  try {
+    return await db.getFirstAsync(
+      `SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE id = ? AND profile_id = ?`,
+      [id, requireProfileId()]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to get reservation: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Store a new booking
+ * Callers validate with validateReservation from reservations.js first
+ * @param {Object} reservation - date, time, partySize and occasion
+ * @returns {Promise<number>} Id of the new reservation
+ */
+export async function createReservation({ date, time, partySize, occasion }) {
+  try {
+    const now = Date.now();
+    const result = await db.runAsync(
+      'INSERT INTO reservations (profile_id, date, time, party_size, occasion, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [requireProfileId(), date, time, partySize, toStoredOccasion(occasion), now, now]
+    );
+    return result.lastInsertRowId;
+  } catch (error) {
+    throw new DatabaseError('Failed to create reservation: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Change the details of a booking
+ * @param {number} id - Reservation id
+ * @param {Object} reservation - date, time, partySize and occasion
+ */
+export async function updateReservation(id, { date, time, partySize, occasion }) {
+  try {
+    await db.runAsync(
+      'UPDATE reservations SET date = ?, time = ?, party_size = ?, occasion = ?, updated_at = ? WHERE id = ? AND profile_id = ?',
+      [date, time, partySize, toStoredOccasion(occasion), Date.now(), id, requireProfileId()]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to update reservation: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Cancel a booking, it stays in the list as cancelled
+ * @param {number} id - Reservation id
+ */
+export async function cancelReservation(id) {
+  try {
+    await db.runAsync(
+      "UPDATE reservations SET status = 'cancelled', updated_at = ? WHERE id = ? AND profile_id = ?",
+      [Date.now(), id, requireProfileId()]
+    );
+  } catch (error) {
+    throw new DatabaseError('Failed to cancel reservation: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the menu images stored on disk, least recently used first
+ * @returns {Promise<Array>} Entries with filename, size, downloadedAt and lastUsedAt
+ */
+export async function getCachedImages() {
+  try {
+    return await db.getAllAsync(`
+      SELECT filename, size, downloaded_at AS downloadedAt, last_used_at AS lastUsedAt
+      FROM image_cache ORDER BY last_used_at
+    `);
+  } catch (error) {
+    throw new DatabaseError('Failed to get cached images: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Record a menu image that was just downloaded
+ * @param {Object} image - filename and size in bytes
+ */
+export async function saveCachedImage({ filename, size }) {
+  try {
+    const now = Date.now();
+    await db.runAsync(
+      'INSERT OR REPLACE INTO image_cache (filename, size, downloaded_at, last_used_at) VALUES (?, ?, ?, ?)',
+      [filename, size, now, now]
     );
   } catch (error) {
-    throw new Error('Failed to search menu items: ' + error.message);
+    throw new DatabaseError('Failed to save cached image: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Mark a cached menu image as used, so eviction keeps it longer
+ * @param {string} filename - Image filename
+ */
+export async function touchCachedImage(filename) {
+  try {
+    await db.runAsync('UPDATE image_cache SET last_used_at = ? WHERE filename = ?', [Date.now(), filename]);
+  } catch (error) {
+    throw new DatabaseError('Failed to update cached image: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Forget a cached menu image, the caller deletes the file
+ * @param {string} filename - Image filename
+ */
+export async function deleteCachedImage(filename) {
+  try {
+    await db.runAsync('DELETE FROM image_cache WHERE filename = ?', [filename]);
+  } catch (error) {
+    throw new DatabaseError('Failed to delete cached image: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get every dish for staff mode, sold out ones included
+ * @returns {Promise<Array>} Menu items with overrideAction ('create', 'edit' or null), in menu order
+ */
+export async function getStaffMenuItems() {
+  try {
+    return await db.getAllAsync(`
+      SELECT menuitems.*, menu_overrides.action AS overrideAction
+      FROM menuitems
+      LEFT JOIN menu_overrides ON menu_overrides.item_key = menuitems.item_key
+      ORDER BY menuitems.id
+    `);
+  } catch (error) {
+    throw new DatabaseError('Failed to get staff menu: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Get the synced dishes staff removed from the menu
+ * @returns {Promise<Array<{itemKey: string, removedAt: number}>>} Removed dishes, keyed by their synced name
+ */
+export async function getRemovedMenuItems() {
+  try {
+    return await db.getAllAsync(`
+      SELECT item_key AS itemKey, updated_at AS removedAt
+      FROM menu_overrides
+      WHERE action = 'delete'
+      ORDER BY item_key
+    `);
+  } catch (error) {
+    throw new DatabaseError('Failed to get removed menu items: ' + error.message, { cause: error });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Make the next menu sync fetch and apply the menu in full, so dropped overrides take effect
+ * @param {Object} db - Database or transaction to write with
+ */
+async function resetSyncFingerprint(db) {
+  await db.runAsync('UPDATE menu_sync SET payload_hash = NULL, etag = NULL WHERE id = 1');
+}
+
+/**
+ * Add a dish that only exists on this device
+ * @param {Object} values - name, price, description, image and category
+ * @returns {Promise<number>} Id of the new menu item
+ */
+export async function createMenuItem({ name, price, description = '', image = null, category }) {
+  try {
+    let id = null;
+    const itemKey = createLocalKey();
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `INSERT INTO menu_overrides (item_key, action, name, price, description, image, category, available, updated_at)
+         VALUES (?, 'create', ?, ?, ?, ?, ?, 1, ?)`,
+        [itemKey, name, price, description, image, category, Date.now()]
+      );
+      const result = await db.runAsync(
+        `INSERT INTO menuitems (item_key, name, price, description, image, category, available)
+         VALUES (?, ?, ?, ?, ?, ?, 1)`,
+        [itemKey, name, price, description, image, category]
+      );
+      id = result.lastInsertRowId;
+      await writeItemTags(db, id, resolveDietaryTags({ name, description, dietary: null }));
+    });
+
+    return id;
+  } catch (error) {
+    throw new DatabaseError('Failed to create menu item: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Change the details of a dish
+ * - Local dishes are rewritten in full
+ * - Synced dishes keep an 'edit' override with every field staff changed so far
+ * - Detected dietary tags follow the new name and description, payload tags are kept
+ * @param {number} id - Menu item id
+ * @param {Object} values - Any of name, price, description, image, category and available (1 or 0)
+ * @throws {ValidationError} When the dish was removed in the meantime
+ */
+export async function updateMenuItem(id, values) {
+  try {
+    await db.withTransactionAsync(async () => {
+      const current = await db.getFirstAsync('SELECT * FROM menuitems WHERE id = ?', [id]);
+      if (!current) throw new ValidationError('The dish is no longer on the menu');
+
+      const changed = getChangedFields(current, values);
+      if (Object.keys(changed).length === 0) return;
+      const updated = { ...current, ...changed };
+      const now = Date.now();
+
+      if (isLocalKey(current.item_key)) {
+        await db.runAsync(
+          `UPDATE menu_overrides SET name = ?, price = ?, description = ?, image = ?, category = ?, available = ?, updated_at = ?
+           WHERE item_key = ?`,
+          [updated.name, updated.price, updated.description, updated.image, updated.category, updated.available, now, current.item_key]
+        );
+      } else {
+        const previous = await db.getFirstAsync(
+          "SELECT * FROM menu_overrides WHERE item_key = ? AND action = 'edit'",
+          [current.item_key]
+        );
+        const override = { ...previous, ...changed };
+        await db.runAsync(
+          `INSERT OR REPLACE INTO menu_overrides (item_key, action, name, price, description, image, category, available, updated_at)
+           VALUES (?, 'edit', ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            current.item_key,
+            override.name ?? null,
+            override.price ?? null,
+            override.description ?? null,
+            override.image ?? null,
+            override.category ?? null,
+            override.available ?? null,
+            now,
+          ]
+        );
+      }
+
+      await db.runAsync(
+        'UPDATE menuitems SET name = ?, price = ?, description = ?, image = ?, category = ?, available = ? WHERE id = ?',
+        [updated.name, updated.price, updated.description, updated.image, updated.category, updated.available, id]
+      );
+
+      const tagSource = await db.getFirstAsync('SELECT source FROM menu_item_tags WHERE menu_item_id = ? LIMIT 1', [id]);
+      if (tagSource?.source !== 'payload') {
+        await writeItemTags(db, id, resolveDietaryTags({ ...updated, dietary: null }));
+      }
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new DatabaseError('Failed to update menu item: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Mark a dish as sold out or back on sale
+ * @param {number} id - Menu item id
+ * @param {boolean} available - Whether guests can order it
+ */
+export async function setMenuItemAvailable(id, available) {
+  return updateMenuItem(id, { available: available ? 1 : 0 });
+}
+
+/**
+ * Take a dish off the menu
+ * Local dishes are gone for good, synced dishes stay hidden until restored
+ * @param {number} id - Menu item id
+ */
+export async function deleteMenuItem(id) {
+  try {
+    await db.withTransactionAsync(async () => {
+      const current = await db.getFirstAsync('SELECT item_key FROM menuitems WHERE id = ?', [id]);
+      if (!current) return;
+
+      if (isLocalKey(current.item_key)) {
+        await db.runAsync('DELETE FROM menu_overrides WHERE item_key = ?', [current.item_key]);
+      } else {
+        await db.runAsync(
+          `INSERT OR REPLACE INTO menu_overrides (item_key, action, updated_at) VALUES (?, 'delete', ?)`,
+          [current.item_key, Date.now()]
+        );
+      }
+      await db.runAsync('DELETE FROM menuitems WHERE id = ?', [id]);
+    });
+  } catch (error) {
+    throw new DatabaseError('Failed to delete menu item: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Drop the staff edits of a synced dish, it shows the synced details again after the next sync
+ * @param {number} id - Menu item id
+ */
+export async function revertMenuItem(id) {
+  try {
+    await db.withTransactionAsync(async () => {
+      const current = await db.getFirstAsync('SELECT item_key FROM menuitems WHERE id = ?', [id]);
+      if (!current || isLocalKey(current.item_key)) return;
+
+      await db.runAsync("DELETE FROM menu_overrides WHERE item_key = ? AND action = 'edit'", [current.item_key]);
+      await resetSyncFingerprint(db);
+    });
+  } catch (error) {
+    throw new DatabaseError('Failed to revert menu item: ' + error.message, { cause: error });
+  }
+}
+
+/**
+ * Put a removed synced dish back on the menu, it reappears after the next sync
+ * @param {string} itemKey - Item key from getRemovedMenuItems
+ */
+export async function restoreMenuItem(itemKey) {
+  try {
+    await db.withTransactionAsync(async () => {
+      await db.runAsync("DELETE FROM menu_overrides WHERE item_key = ? AND action = 'delete'", [itemKey]);
+      await resetSyncFingerprint(db);
+    });
+  } catch (error) {
+    throw new DatabaseError('Failed to restore menu item: ' + error.message, { cause: error });
+  }
+}
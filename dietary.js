@@ -0,0 +1,121 @@
+import { toWords } from './fuzzy';
+
+/**
+ * Dietary - Diet and allergen tags of menu items
+ *
+ * Each dish gets a set of tags from DIETARY_TAGS. Tags come from the
+ * "dietary" list of the menu payload when a source provides one, and are
+ * detected from the name and description otherwise. Detection only adds
+ * allergen warnings, when a keyword names them ("feta" means dairy): a
+ * description can leave ingredients out, so a diet (vegetarian, vegan,
+ * gluten-free) is never claimed from words that are missing. Detected
+ * allergens are labelled as a guide rather than a guarantee.
+ *
+ * Tag lists double as filters and preferences: a diet tag keeps only dishes
+ * that have it, an allergen tag leaves out dishes that have it.
+ */
+
+export const DIETARY_TAGS = [
+  { key: 'vegetarian', label: 'Vegetarian', kind: 'diet' },
+  { key: 'vegan', label: 'Vegan', kind: 'diet' },
+  { key: 'gluten-free', label: 'Gluten-free', kind: 'diet' },
+  { key: 'gluten', label: 'Gluten', kind: 'allergen' },
+  { key: 'dairy', label: 'Dairy', kind: 'allergen' },
+  { key: 'eggs', label: 'Eggs', kind: 'allergen' },
+  { key: 'nuts', label: 'Nuts', kind: 'allergen' },
+  { key: 'fish', label: 'Fish', kind: 'allergen' },
+  { key: 'shellfish', label: 'Shellfish', kind: 'allergen' },
+];
+
+export const DIET_TAGS = DIETARY_TAGS.filter(tag => tag.kind === 'diet');
+export const ALLERGEN_TAGS = DIETARY_TAGS.filter(tag => tag.kind === 'allergen');
+
+// Words that point to an allergen, matched as whole words with an optional plural
+const ALLERGEN_KEYWORDS = {
+  gluten: ['bread', 'bruschetta', 'pasta', 'spaghetti', 'noodle', 'flour', 'wheat', 'barley', 'rye', 'couscous',
+    'pita', 'toast', 'crouton', 'crust', 'pastry', 'cake', 'cookie', 'biscuit', 'pizza', 'dough', 'bun'],
+  dairy: ['cheese', 'cheesy', 'feta', 'parmesan', 'mozzarella', 'ricotta', 'halloumi', 'milk', 'cream', 'butter', 'yogurt',
+    'yoghurt', 'creamy', 'buttery', 'tzatziki', 'custard', 'gelato'],
+  eggs: ['egg', 'mayonnaise', 'mayo', 'aioli', 'meringue', 'custard', 'omelette'],
+  nuts: ['nut', 'almond', 'walnut', 'pistachio', 'pecan', 'hazelnut', 'cashew', 'peanut', 'pine nut', 'praline'],
+  fish: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'bass', 'trout', 'halibut'],
+  shellfish: ['shrimp', 'prawn', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'scallop', 'squid', 'calamari',
+    'octopus'],
+};
+
+/**
+ * Check whether any keyword appears in the text as a whole word or phrase
+ * @param {string} text - Words of the dish joined by single spaces
+ * @param {string[]} keywords - Keywords, plurals are matched too
+ * @returns {boolean} True when a keyword is found
+ */
+function mentions(text, keywords) {
+  return keywords.some(keyword => new RegExp(`(^| )${keyword}(s|es)?( |$)`).test(text));
+}
+
+/**
+ * Detect the allergens named in the words of a dish
+ * Never returns diet tags, those have to come from the menu payload
+ * @param {Object} item - Menu item with name and description
+ * @returns {string[]} Allergen tag keys
+ */
+export function detectDietaryTags({ name, description }) {
+  const text = toWords(`${name || ''} ${description || ''}`).join(' ');
+  return sortTags(Object.keys(ALLERGEN_KEYWORDS).filter(allergen => mentions(text, ALLERGEN_KEYWORDS[allergen])));
+}
+
+/**
+ * Turn a tag from a payload into a known tag key
+ * Accepts variants such as 'Gluten Free', 'gluten_free' or 'contains nuts'
+ * @param {string} tag - Tag as written in the payload
+ * @returns {string|null} Tag key, null for unknown tags
+ */
+export function normalizeDietaryTag(tag) {
+  const key = String(tag).trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/^contains-/, '');
+  const aliases = { egg: 'eggs', nut: 'nuts', 'tree-nuts': 'nuts', peanuts: 'nuts', glutenfree: 'gluten-free', milk: 'dairy' };
+  const normalized = aliases[key] || key;
+  return DIETARY_TAGS.some(entry => entry.key === normalized) ? normalized : null;
+}
+
+/**
+ * Put tags in the order of DIETARY_TAGS, without duplicates
+ * @param {string[]} tags - Tag keys
+ * @returns {string[]} Sorted tag keys
+ */
+export function sortTags(tags) {
+  return DIETARY_TAGS.map(entry => entry.key).filter(key => tags.includes(key));
+}
+
+/**
+ * Work out the tags of a menu item
+ * @param {Object} item - Normalized menu item, dietary is the payload list or null
+ * @returns {{tags: string[], source: string}} Tag keys and 'payload' or 'detected'
+ */
+export function resolveDietaryTags(item) {
+  if (Array.isArray(item.dietary)) {
+    const tags = item.dietary.map(normalizeDietaryTag).filter(Boolean);
+    return { tags: sortTags(tags), source: 'payload' };
+  }
+  return { tags: detectDietaryTags(item), source: 'detected' };
+}
+
+/**
+ * Look up a tag
+ * @param {string} key - Tag key
+ * @returns {Object|undefined} Tag with key, label and kind
+ */
+export function getDietaryTag(key) {
+  return DIETARY_TAGS.find(tag => tag.key === key);
+}
+
+/**
+ * Split a filter or preference into the diets to keep and the allergens to leave out
+ * @param {string[]} tags - Tag keys
+ * @returns {{diets: string[], excludeAllergens: string[]}} Tag keys by kind
+ */
+export function splitDietaryFilter(tags = []) {
+  return {
+    diets: tags.filter(key => getDietaryTag(key)?.kind === 'diet'),
+    excludeAllergens: tags.filter(key => getDietaryTag(key)?.kind === 'allergen'),
+  };
+}
@@ -0,0 +1,85 @@
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+
+/**
+ * Encryption - Encrypts personal data before it is written to AsyncStorage
+ *
+ * A random 256-bit key is created on first use and kept in the platform
+ * keychain / keystore (expo-secure-store), bound to this device. Values are
+ * sealed with XChaCha20-Poly1305 and a fresh random nonce, so tampered or
+ * foreign data fails to decrypt instead of being read back silently.
+ *
+ * Encrypted values look like 'enc1.<nonce hex>.<ciphertext hex>'.
+ */
+
+const KEY_NAME = 'profileEncryptionKey';
+const PREFIX = 'enc1';
+const NONCE_BYTES = 24;
+
+let keyPromise = null;
+
+/**
+ * Read the device key, creating it on first use
+ * @returns {Promise<Uint8Array>} 32-byte key
+ */
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const stored = await SecureStore.getItemAsync(KEY_NAME);
+      if (stored) return hexToBytes(stored);
+
+      const key = Crypto.getRandomBytes(32);
+      await SecureStore.setItemAsync(KEY_NAME, bytesToHex(key), {
+        keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+      });
+      return key;
+    })().catch(error => {
+      keyPromise = null;
+      throw new Error('Failed to load encryption key: ' + error.message);
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Check whether a stored value was written by encryptJson
+ * @param {string|null} value - Stored value
+ * @returns {boolean} True if the value is encrypted
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}.`);
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<string>} Encrypted string
+ */
+export async function encryptJson(value) {
+  const key = await getKey();
+  const nonce = Crypto.getRandomBytes(NONCE_BYTES);
+  const ciphertext = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(JSON.stringify(value)));
+  return `${PREFIX}.${bytesToHex(nonce)}.${bytesToHex(ciphertext)}`;
+}
+
+/**
+ * Decrypt a value written by encryptJson
+ * @param {string} encrypted - Encrypted string
+ * @returns {Promise<*>} Decrypted value
+ */
+export async function decryptJson(encrypted) {
+  const [prefix, nonceHex, ciphertextHex] = encrypted.split('.');
+  if (prefix !== PREFIX || !nonceHex || !ciphertextHex) {
+    throw new Error('Failed to decrypt: unknown format');
+  }
+
+  try {
+    const key = await getKey();
+    const plaintext = xchacha20poly1305(key, hexToBytes(nonceHex)).decrypt(hexToBytes(ciphertextHex));
+    return JSON.parse(bytesToUtf8(plaintext));
+  } catch (error) {
+    throw new Error('Failed to decrypt: ' + error.message);
+  }
+}
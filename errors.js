@@ -0,0 +1,102 @@
+/**
+ * Errors - Typed errors shared across the data layer
+ *
+ * Modules throw one of these so screens can tell what went wrong without
+ * parsing messages:
+ * - NetworkError: a server could not be reached or answered with an error status
+ * - ParseError: a response could not be read or did not match the expected shape
+ * - DatabaseError: reading or writing SQLite failed
+ * - AuthError: the auth backend refused a request, e.g. a wrong password or
+ *   an expired session; its message is written for the user
+ * - ValidationError: a request broke a rule of the app, e.g. ordering a sold
+ *   out dish; its message is written for the user
+ *
+ * Every class keeps the original error in `cause`. Use getErrorMessage to
+ * show an error to the user. Data layer functions rethrow ValidationError
+ * as it is instead of wrapping it in their own error type.
+ */
+
+export class AppError extends Error {
+  /**
+   * @param {string} message - Technical description, for logs
+   * @param {Object} options
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.cause = cause;
+  }
+}
+
+export class NetworkError extends AppError {
+  /**
+   * @param {string} message - Technical description, for logs
+   * @param {Object} options
+   * @param {number} options.status - HTTP status, when the server answered
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'NetworkError';
+    this.status = status;
+  }
+}
+
+export class AuthError extends AppError {
+  /**
+   * @param {string} message - Reason, shown to the user
+   * @param {Object} options
+   * @param {number} options.status - HTTP status, when the server answered
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export class ParseError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ParseError';
+  }
+}
+
+export class DatabaseError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DatabaseError';
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Describe an error in words suitable for the user
+ * @param {Error} error - Any error
+ * @returns {string} Short message
+ */
+export function getErrorMessage(error) {
+  if (error instanceof NetworkError) {
+    return error.status
+      ? `The server is not responding properly (error ${error.status}).`
+      : 'Could not reach the server. Check your connection.';
+  }
+  if (error instanceof ParseError) {
+    return 'The data from the server could not be read.';
+  }
+  if (error instanceof DatabaseError) {
+    return 'Data saved on this device could not be read.';
+  }
+  if (error instanceof AuthError || error instanceof ValidationError) {
+    return error.message;
+  }
+  return 'Something went wrong.';
+}
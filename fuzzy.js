@@ -0,0 +1,130 @@
+/**
+ * Fuzzy Matching - Typo-tolerant comparison of search words
+ *
+ * Used when the full-text search finds nothing, so that "bruscheta" still
+ * finds "Bruschetta" and "lemon desert" can be corrected to "lemon dessert".
+ *
+ * Words are compared with the optimal string alignment distance
+ * (insertions, deletions, substitutions and swapped neighbours each cost 1).
+ */
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Any text
+ * @returns {string[]} Words, empty if there are none
+ */
+export function toWords(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9\u00c0-\u024f]+/g) || [];
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbours as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Number of edits needed to turn a into b
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const distances = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) distances[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1, // deletion
+        distances[i][j - 1] + 1, // insertion
+        distances[i - 1][j - 1] + cost // substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1); // swap
+      }
+    }
+  }
+
+  return distances[rows - 1][cols - 1];
+}
+
+/**
+ * How many typos to tolerate in a word of this length
+ * Short words get no tolerance, otherwise "tea" would match "pea"
+ * @param {string} word - Word typed by the user
+ * @returns {number} Maximum edit distance
+ */
+export function maxTypos(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Find the closest vocabulary word within the typo tolerance
+ * @param {string} word - Word typed by the user
+ * @param {string[]} vocabulary - Known words
+ * @returns {{word: string, distance: number}|null} Best match, null if none is close enough
+ */
+export function closestWord(word, vocabulary) {
+  const limit = maxTypos(word);
+  let best = null;
+
+  for (const candidate of vocabulary) {
+    // Length difference alone already exceeds the limit
+    if (Math.abs(candidate.length - word.length) > limit) continue;
+
+    const distance = editDistance(word, candidate);
+    if (distance <= limit && (!best || distance < best.distance)) {
+      best = { word: candidate, distance };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Score how well a search query matches a text
+ * Every query word must be close to some word of the text
+ * @param {string} query - Search input
+ * @param {string} text - Text to match against (e.g. a menu item name)
+ * @returns {number|null} Total edit distance (lower is better), null if it does not match
+ */
+export function fuzzyMatchScore(query, text) {
+  const queryWords = toWords(query);
+  const textWords = toWords(text);
+  if (queryWords.length === 0) return null;
+
+  let score = 0;
+  for (const word of queryWords) {
+    const match = closestWord(word, textWords);
+    if (!match) return null;
+    score += match.distance;
+  }
+  return score;
+}
+
+/**
+ * Suggest a corrected query by replacing misspelled words
+ * @param {string} query - Search input
+ * @param {string[]} vocabulary - Known words
+ * @returns {string|null} Corrected query, null if nothing could be corrected
+ */
+export function suggestCorrection(query, vocabulary) {
+  const queryWords = toWords(query);
+  let changed = false;
+
+  const corrected = queryWords.map(word => {
+    if (vocabulary.includes(word)) return word;
+
+    const match = closestWord(word, vocabulary);
+    if (!match) return word;
+
+    changed = true;
+    return match.word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+}
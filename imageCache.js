@@ -0,0 +1,232 @@
+import * as FileSystem from 'expo-file-system';
+import { getCachedImages, saveCachedImage, touchCachedImage, deleteCachedImage } from './database';
+
+/**
+ * Image Cache - Menu images kept on disk for offline use
+ *
+ * Menu images are downloaded during menu sync and stored in 'menu-images/'
+ * under the document directory, one file per image filename from the menu
+ * payload. The image_cache table records the size and last use of each file.
+ *
+ * Key Features:
+ * - Screens get a local file URI when the image is cached, the remote URL otherwise
+ * - An image that is shown before it was cached is downloaded in the background
+ * - Downloads go to a temporary file first, so a partial file is never shown
+ * - Images no longer on the menu are deleted, and the least recently used
+ *   ones are evicted when the cache grows over MAX_CACHE_BYTES
+ */
+
+export const MAX_CACHE_BYTES = 50 * 1024 * 1024; // Upper bound for the files in the cache
+
+const CACHE_DIR = `${FileSystem.documentDirectory}menu-images/`;
+const TEMP_SUFFIX = '.download';
+
+let cachedFilenames = null; // Filenames with a file on disk, loaded once per launch
+let loading = null; // Shared promise for loading the cache index
+const downloads = new Map(); // In-flight downloads by filename
+const touched = new Set(); // Filenames whose last use was already recorded this launch
+let syncInProgress = null;
+
+/**
+ * Build the path of a cached image
+ * Characters that are not safe in file names are replaced
+ * @param {string} filename - Image filename from the menu payload
+ * @returns {string} Local file URI
+ */
+function getLocalUri(filename) {
+  return `${CACHE_DIR}${filename.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+}
+
+/**
+ * Create the cache directory if it does not exist yet
+ */
+async function ensureCacheDir() {
+  const info = await FileSystem.getInfoAsync(CACHE_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(CACHE_DIR, { intermediates: true });
+  }
+}
+
+/**
+ * Load the filenames of the cached images
+ * Rows whose file is gone (e.g. cleared by the user) are dropped
+ * @returns {Promise<Set<string>>} Cached filenames
+ */
+function loadImageCache() {
+  if (!loading) {
+    loading = (async () => {
+      const entries = await getCachedImages();
+      const present = new Set();
+      for (const entry of entries) {
+        const info = await FileSystem.getInfoAsync(getLocalUri(entry.filename));
+        if (info.exists) {
+          present.add(entry.filename);
+        } else {
+          await deleteCachedImage(entry.filename);
+        }
+      }
+      cachedFilenames = present;
+      return present;
+    })().catch(error => {
+      loading = null; // Allow a retry
+      throw error;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Download one image into the cache
+ * Concurrent callers for the same filename share the same download
+ * @param {string} filename - Image filename from the menu payload
+ * @param {string} url - Remote URL of the image
+ * @returns {Promise<void>}
+ */
+function downloadImage(filename, url) {
+  if (!downloads.has(filename)) {
+    const download = (async () => {
+      await ensureCacheDir();
+      const uri = getLocalUri(filename);
+      const tempUri = uri + TEMP_SUFFIX;
+
+      try {
+        const result = await FileSystem.downloadAsync(url, tempUri);
+        if (result.status !== 200) {
+          throw new Error(`Image request failed with status ${result.status}`);
+        }
+        await FileSystem.moveAsync({ from: tempUri, to: uri });
+      } catch (error) {
+        await FileSystem.deleteAsync(tempUri, { idempotent: true });
+        throw error;
+      }
+
+      const info = await FileSystem.getInfoAsync(uri, { size: true });
+      await saveCachedImage({ filename, size: info.size || 0 });
+      touched.add(filename);
+      (await loadImageCache()).add(filename);
+    })().finally(() => {
+      downloads.delete(filename);
+    });
+    downloads.set(filename, download);
+  }
+  return downloads.get(filename);
+}
+
+/**
+ * Delete a cached image and its record
+ * @param {string} filename - Image filename
+ */
+async function removeImage(filename) {
+  await FileSystem.deleteAsync(getLocalUri(filename), { idempotent: true });
+  await deleteCachedImage(filename);
+  if (cachedFilenames) cachedFilenames.delete(filename);
+  touched.delete(filename);
+}
+
+/**
+ * Get the URI to show for a menu image
+ * Uncached images are served from the network and downloaded in the background
+ * @param {string} filename - Image filename from the menu payload
+ * @param {string} remoteUrl - Remote URL of the image
+ * @returns {Promise<string>} Local file URI when cached, remoteUrl otherwise
+ */
+export async function getImageUri(filename, remoteUrl) {
+  try {
+    const cached = await loadImageCache();
+    if (cached.has(filename)) {
+      // Recording every render would be wasteful, once per launch is enough for eviction
+      if (!touched.has(filename)) {
+        touched.add(filename);
+        touchCachedImage(filename).catch(error => console.warn('Could not update cached image:', error.message));
+      }
+      return getLocalUri(filename);
+    }
+
+    downloadImage(filename, remoteUrl).catch(error => console.warn('Could not cache image:', error.message));
+  } catch (error) {
+    console.warn('Could not read image cache:', error.message);
+  }
+  return remoteUrl;
+}
+
+/**
+ * Delete images no longer on the menu, then evict the least recently used
+ * ones until the cache fits in maxBytes
+ * @param {Array<string>} keepFilenames - Images on the current menu
+ * @param {number} maxBytes - Cache size limit
+ * @returns {Promise<number>} Number of images deleted
+ */
+async function pruneImageCache(keepFilenames, maxBytes) {
+  const keep = new Set(keepFilenames);
+  let removed = 0;
+
+  // Entries come least recently used first
+  const entries = await getCachedImages();
+  const kept = [];
+  for (const entry of entries) {
+    if (keep.has(entry.filename)) {
+      kept.push(entry);
+    } else {
+      await removeImage(entry.filename);
+      removed++;
+    }
+  }
+
+  let totalBytes = kept.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of kept) {
+    if (totalBytes <= maxBytes) break;
+    await removeImage(entry.filename);
+    totalBytes -= entry.size;
+    removed++;
+  }
+
+  // Files without a record, e.g. left by a download interrupted when the app was closed
+  const info = await FileSystem.getInfoAsync(CACHE_DIR);
+  if (info.exists) {
+    const known = new Set((await getCachedImages()).map(entry => getLocalUri(entry.filename)));
+    const inFlight = new Set([...downloads.keys()].map(filename => getLocalUri(filename) + TEMP_SUFFIX));
+    const files = await FileSystem.readDirectoryAsync(CACHE_DIR);
+    const strays = files
+      .map(file => `${CACHE_DIR}${file}`)
+      .filter(uri => !known.has(uri) && !inFlight.has(uri));
+    await Promise.all(strays.map(uri => FileSystem.deleteAsync(uri, { idempotent: true })));
+  }
+
+  return removed;
+}
+
+/**
+ * Bring the cache in line with the menu
+ * - Downloads the images that are not cached yet, one at a time
+ * - Prunes images no longer on the menu and evicts over the size limit
+ * - A failed download is skipped and retried on the next sync
+ * Concurrent callers share the same run
+ * @param {Array<{filename: string, url: string}>} images - Images on the current menu
+ * @param {number} maxBytes - Cache size limit
+ * @returns {Promise<{downloaded: number, failed: number, removed: number}>} What changed
+ */
+export function syncImageCache(images, maxBytes = MAX_CACHE_BYTES) {
+  if (!syncInProgress) {
+    syncInProgress = (async () => {
+      const result = { downloaded: 0, failed: 0, removed: 0 };
+      const cached = await loadImageCache();
+
+      for (const { filename, url } of images) {
+        if (cached.has(filename)) continue;
+        try {
+          await downloadImage(filename, url);
+          result.downloaded++;
+        } catch (error) {
+          console.warn(`Could not cache image ${filename}:`, error.message);
+          result.failed++;
+        }
+      }
+
+      result.removed = await pruneImageCache(images.map(image => image.filename), maxBytes);
+      return result;
+    })().finally(() => {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+}
@@ -0,0 +1,104 @@
+/**
+ * Menu Overrides - Local staff edits layered over the synced menu
+ *
+ * Staff mode never edits the menu source. Each change is stored as an
+ * override in the menu_overrides table, keyed by the item key of the dish:
+ * - Dishes from the menu source use their name as item key, which is also
+ *   how the sync recognises them from one payload to the next
+ * - Dishes created on the device get a 'local:' key of their own
+ *
+ * An override has one of three actions:
+ * - 'create': a dish that only exists on this device, with all its fields
+ * - 'edit': fields that replace those of a synced dish (null keeps the
+ *   synced value), e.g. a corrected price or available = 0 when sold out
+ * - 'delete': a synced dish hidden from the menu
+ *
+ * Every sync applies the overrides to the fetched menu before it is written
+ * (see saveMenuItems), so local changes survive it.
+ */
+
+export const LOCAL_KEY_PREFIX = 'local:';
+
+// Fields of a dish an override can change
+export const OVERRIDE_FIELDS = ['name', 'price', 'description', 'image', 'category', 'available'];
+
+/**
+ * Build the item key of a dish created on the device
+ * @returns {string} New unique key
+ */
+export function createLocalKey() {
+  return `${LOCAL_KEY_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Check whether a dish was created on the device
+ * @param {string} itemKey - Item key
+ * @returns {boolean} True for local dishes
+ */
+export function isLocalKey(itemKey) {
+  return typeof itemKey === 'string' && itemKey.startsWith(LOCAL_KEY_PREFIX);
+}
+
+/**
+ * Work out which fields a staff edit changes compared with the dish as shown
+ * @param {Object} current - Menu item as stored
+ * @param {Object} values - Edited fields
+ * @returns {Object} Changed fields only
+ */
+export function getChangedFields(current, values) {
+  const changed = {};
+  OVERRIDE_FIELDS.forEach(field => {
+    if (field in values && values[field] !== current[field]) changed[field] = values[field];
+  });
+  return changed;
+}
+
+/**
+ * Apply the overrides to a fetched menu
+ * - Items are keyed by name, duplicate names in the payload are ignored (the first one wins)
+ * - 'edit' overrides replace the fields they set, 'delete' overrides drop the item
+ * - 'create' overrides are added as extra items
+ * @param {Array} menuItems - Normalized items from the menu payload
+ * @param {Array} overrides - Rows of the menu_overrides table
+ * @returns {Array} Items to store, each with itemKey and available (1 or 0)
+ */
+export function applyMenuOverrides(menuItems, overrides) {
+  const overridesByKey = new Map(overrides.map(override => [override.item_key, override]));
+  const seen = new Set();
+  const result = [];
+
+  for (const item of menuItems) {
+    if (seen.has(item.name)) continue;
+    seen.add(item.name);
+
+    const override = overridesByKey.get(item.name);
+    if (override && override.action === 'delete') continue;
+
+    const merged = { ...item, itemKey: item.name, available: 1 };
+    if (override && override.action === 'edit') {
+      OVERRIDE_FIELDS.forEach(field => {
+        if (override[field] !== null && override[field] !== undefined) merged[field] = override[field];
+      });
+    }
+    result.push(merged);
+  }
+
+  for (const override of overrides) {
+    if (override.action !== 'create') continue;
+    result.push({
+      itemKey: override.item_key,
+      name: override.name,
+      price: override.price,
+      description: override.description || '',
+      image: override.image || null,
+      category: override.category,
+      available: override.available ?? 1,
+      dietary: null,
+      meals: null,
+      days: null,
+      specialDays: null,
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,180 @@
+import { ParseError } from './errors';
+import { normalizeMeals, normalizeDays } from './availability';
+
+/**
+ * Menu Schema - Shape of the menu payload accepted by the app
+ *
+ * Every menu source (see menuSource.js) is checked against this schema
+ * before anything is written to the menuitems table. A payload with a
+ * malformed item is rejected as a whole, so a bad response can never leave
+ * a half-applied menu behind; the cached menu stays in use instead.
+ *
+ * Expected payload:
+ *
+ *   { "menu": [{ "name": "Greek Salad", "price": 12.99, "description": "...",
+ *                "image": "greekSalad.jpg", "category": "starters",
+ *                "dietary": ["vegetarian", "dairy"],
+ *                "availability": { "meals": ["lunch", "dinner"], "days": ["mon", "tue"] },
+ *                "specialDays": ["fri"] }] }
+ *
+ * - name and category are required, non-empty strings
+ * - price is required, a number or numeric string of at least 0
+ * - description and image are optional strings
+ * - dietary is an optional list of tags (see dietary.js), unknown tags are ignored
+ * - availability optionally limits the dish to meal periods and weekdays, and
+ *   specialDays lists the weekdays it is a special (see availability.js);
+ *   unknown names are ignored, a missing or empty list means no limit
+ *
+ * Dishes added or edited in staff mode are checked with validateMenuItemFields.
+ */
+
+const MAX_REPORTED_ERRORS = 5; // Item errors listed in the message, the rest are counted
+
+/**
+ * Check an optional list of strings
+ * @param {*} value - Value from the payload
+ * @returns {boolean} True when the value is missing or a list of strings
+ */
+function isStringList(value) {
+  return value == null || (Array.isArray(value) && value.every(entry => typeof entry === 'string'));
+}
+
+/**
+ * Check a single menu item
+ * @param {*} item - Item from the payload
+ * @returns {Array<string>} Problems found, empty when the item is valid
+ */
+function getItemProblems(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['is not an object'];
+  }
+
+  const problems = [];
+  if (typeof item.name !== 'string' || !item.name.trim()) {
+    problems.push('name must be a non-empty string');
+  }
+  if (typeof item.category !== 'string' || !item.category.trim()) {
+    problems.push('category must be a non-empty string');
+  }
+
+  const price = typeof item.price === 'string' && item.price.trim() ? Number(item.price) : item.price;
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    problems.push('price must be a number of at least 0');
+  }
+
+  if (item.description != null && typeof item.description !== 'string') {
+    problems.push('description must be a string');
+  }
+  if (item.image != null && typeof item.image !== 'string') {
+    problems.push('image must be a string');
+  }
+  if (!isStringList(item.dietary)) {
+    problems.push('dietary must be a list of strings');
+  }
+  if (item.availability != null) {
+    const { meals, days } = item.availability;
+    if (typeof item.availability !== 'object' || Array.isArray(item.availability)) {
+      problems.push('availability must be an object');
+    } else if (!isStringList(meals) || !isStringList(days)) {
+      problems.push('availability meals and days must be lists of strings');
+    }
+  }
+  if (!isStringList(item.specialDays)) {
+    problems.push('specialDays must be a list of strings');
+  }
+  return problems;
+}
+
+/**
+ * Validate a parsed menu payload and normalize its items
+ * @param {*} json - Parsed payload
+ * @returns {Array<Object>} Items with trimmed strings and numeric prices
+ * @throws {ParseError} Listing the malformed items when the payload does not match the schema
+ */
+export function validateMenuPayload(json) {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.menu)) {
+    throw new ParseError('Menu payload does not contain a menu list');
+  }
+  if (json.menu.length === 0) {
+    throw new ParseError('Menu payload contains no items');
+  }
+
+  const errors = [];
+  json.menu.forEach((item, index) => {
+    const problems = getItemProblems(item);
+    if (problems.length > 0) {
+      const label = item && typeof item.name === 'string' && item.name.trim()
+        ? `Item ${index + 1} ("${item.name.trim()}")`
+        : `Item ${index + 1}`;
+      errors.push(`${label}: ${problems.join(', ')}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw new ParseError(`Menu payload rejected, ${errors.length} malformed item(s): ${listed}${more}`);
+  }
+
+  return json.menu.map(item => ({
+    name: item.name.trim(),
+    price: Number(item.price),
+    description: item.description ? item.description.trim() : '',
+    image: item.image ? item.image.trim() : null,
+    category: item.category.trim(),
+    dietary: Array.isArray(item.dietary) ? item.dietary : null,
+    meals: normalizeMeals(item.availability?.meals),
+    days: normalizeDays(item.availability?.days),
+    specialDays: normalizeDays(item.specialDays),
+  }));
+}
+
+/**
+ * Parse and validate a raw menu payload
+ * @param {string} text - Response body
+ * @returns {Array<Object>} Normalized menu items
+ * @throws {ParseError} When the text is not JSON or does not match the schema
+ */
+export function parseMenuPayload(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError('Menu payload is not valid JSON: ' + error.message, { cause: error });
+  }
+  return validateMenuPayload(json);
+}
+
+/**
+ * Validate a dish entered in staff mode
+ * @param {Object} values - name, price (as typed), category, description and image
+ * @param {Object} options
+ * @param {string[]} options.takenNames - Names of the other dishes on the menu
+ * @returns {Object} Error messages keyed by field, empty when the dish is valid
+ */
+export function validateMenuItemFields({ name, price, category, description, image }, { takenNames = [] } = {}) {
+  const trimmedName = (name || '').trim();
+  const priceText = String(price ?? '').trim();
+  const errors = {};
+
+  if (!trimmedName) {
+    errors.name = 'Name is required';
+  } else if (takenNames.some(taken => taken.toLowerCase() === trimmedName.toLowerCase())) {
+    errors.name = 'A dish with this name is already on the menu';
+  }
+  if (!priceText) {
+    errors.price = 'Price is required';
+  } else if (!/^\d+(\.\d{1,2})?$/.test(priceText)) {
+    errors.price = 'Enter a price such as 12.99';
+  }
+  if (!(category || '').trim()) {
+    errors.category = 'Category is required';
+  }
+  if (description != null && description.length > 500) {
+    errors.description = 'Description must be 500 characters or less';
+  }
+  if (image && /\s/.test(image.trim())) {
+    errors.image = 'Enter an image filename or URL without spaces';
+  }
+  return errors;
+}
@@ -0,0 +1,120 @@
+import { MENU_SOURCE } from './config';
+import { NetworkError } from './errors';
+import bundledMenu from './assets/menu.json';
+
+/**
+ * Menu Source - Where the menu payload and its images come from
+ *
+ * A menu source is a plain object that menuSync.js reads from:
+ *
+ *   {
+ *     url,                  // Identifies the source in the menu_sync table
+ *     fetchMenu(etag),      // Resolves to { notModified, text, etag }, throws NetworkError
+ *     getImageUrl(image),   // Remote URL of an image named in the payload
+ *   }
+ *
+ * The active source is built from MENU_SOURCE in config.js, so a build can
+ * point at another restaurant's endpoint through app.json. The menu bundled
+ * in assets/menu.json is used when there is no cached menu and the source
+ * cannot be reached, e.g. on a first launch without network.
+ *
+ * To add a kind of source, write a factory taking the MENU_SOURCE settings
+ * and register it in SOURCE_TYPES.
+ */
+
+/**
+ * Resolve an image named in the payload against the image base URL
+ * Absolute URLs in the payload are used as they are
+ * @param {string} imageBaseUrl - Base URL ending with '/'
+ * @param {string} image - Image filename or URL
+ * @returns {string} Image URL
+ */
+function resolveImageUrl(imageBaseUrl, image) {
+  return /^https?:\/\//i.test(image) ? image : `${imageBaseUrl}${image}`;
+}
+
+/**
+ * Source that fetches the menu over HTTP
+ * Uses conditional requests so an unchanged menu is not downloaded again
+ * @param {Object} settings - menuUrl and imageBaseUrl
+ * @returns {Object} Menu source
+ */
+export function createRemoteSource({ menuUrl, imageBaseUrl }) {
+  return {
+    url: menuUrl,
+
+    async fetchMenu(etag) {
+      let response;
+      let text;
+      try {
+        response = await fetch(menuUrl, {
+          headers: etag ? { 'If-None-Match': etag } : {},
+        });
+        if (response.status === 304) {
+          return { notModified: true };
+        }
+        if (response.ok) text = await response.text();
+      } catch (error) {
+        throw new NetworkError('Menu request failed: ' + error.message, { cause: error });
+      }
+
+      if (!response.ok) {
+        throw new NetworkError(`Menu request failed with status ${response.status}`, { status: response.status });
+      }
+      return { notModified: false, text, etag: response.headers.get('etag') };
+    },
+
+    getImageUrl: (image) => resolveImageUrl(imageBaseUrl, image),
+  };
+}
+
+/**
+ * Source that serves the menu shipped with the app (assets/menu.json)
+ * @param {Object} settings - imageBaseUrl
+ * @returns {Object} Menu source
+ */
+export function createBundledSource({ imageBaseUrl }) {
+  return {
+    url: 'bundled:assets/menu.json',
+
+    async fetchMenu() {
+      return { notModified: false, text: JSON.stringify(bundledMenu), etag: null };
+    },
+
+    getImageUrl: (image) => resolveImageUrl(imageBaseUrl, image),
+  };
+}
+
+// Factories by the "type" setting of the menu source
+const SOURCE_TYPES = {
+  remote: createRemoteSource,
+  bundled: createBundledSource,
+};
+
+/**
+ * Build a menu source from its settings
+ * @param {Object} settings - type plus the settings of that type
+ * @returns {Object} Menu source
+ */
+export function createMenuSource(settings) {
+  const factory = SOURCE_TYPES[settings.type];
+  if (!factory) {
+    throw new Error(`Unknown menu source type: ${settings.type}`);
+  }
+  return factory(settings);
+}
+
+// Source configured for this build
+export const menuSource = createMenuSource(MENU_SOURCE);
+
+// Menu used when nothing is cached yet and the configured source fails
+export const fallbackSource = createBundledSource(MENU_SOURCE);
+
+/**
+ * Get the remote URL of a menu item image
+ * @param {string} image - Image filename from the menu payload
+ * @returns {string} Image URL
+ */
+export function getMenuImageUrl(image) {
+  return menuSource.getImageUrl(image);
+}
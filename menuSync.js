@@ -0,0 +1,193 @@
+import { AppState } from 'react-native';
+import { getMenuItems, saveMenuItems, getSyncState, saveSyncState } from './database';
+import { syncImageCache } from './imageCache';
+import { menuSource, fallbackSource, getMenuImageUrl } from './menuSource';
+import { parseMenuPayload } from './menuSchema';
+
+/**
+ * Menu Sync - Keeps the SQLite menu cache up to date
+ *
+ * The menu is cached in SQLite so the app works offline. This module re-checks
+ * the configured menu source (see menuSource.js) on launch and on a schedule,
+ * and applies only what changed.
+ *
+ * Key Features:
+ * - Conditional requests using the ETag of the last response
+ * - Payload hashing so an identical menu is never re-applied
+ * - Diff-based updates of the menuitems table (see saveMenuItems)
+ * - Payloads are validated first (see menuSchema.js), a malformed menu is never written
+ * - A failed check never touches the cached menu
+ * - The bundled menu is used when the first check fails
+ * - Menu images are cached on disk after each successful check (see imageCache.js)
+ */
+
+// How often the menu is re-checked while the app is in use
+export const SYNC_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Hash the raw payload text (32-bit FNV-1a)
+ * Only used to detect whether the menu changed, not for security
+ * @param {string} text - Raw response body
+ * @returns {string} Hex digest
+ */
+function hashPayload(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Validate a fetched payload and write it to the menuitems table
+ * @param {Object} source - Source the payload came from
+ * @param {Object} response - Result of source.fetchMenu
+ * @param {Object} state - Extra sync state to record (checkedAt, lastError)
+ * @returns {Promise<Object>} What changed, see saveMenuItems
+ */
+async function applyPayload(source, response, state) {
+  // Throws before anything is written when the payload does not match the schema
+  const items = parseMenuPayload(response.text);
+
+  const changes = await saveMenuItems(items);
+  await saveSyncState({
+    sourceUrl: source.url,
+    payloadHash: hashPayload(response.text),
+    etag: response.etag,
+    itemCount: items.length,
+    syncedAt: state.checkedAt,
+    checkedAt: state.checkedAt,
+    lastError: state.lastError ?? null,
+  });
+  return changes;
+}
+
+/**
+ * Check the menu source once and apply any changes
+ * Falls back to the bundled menu when nothing is cached and the source fails
+ * @returns {Promise<Object>} Result with status 'updated', 'unchanged' or 'failed'; failed
+ *   and fallback results carry the NetworkError, ParseError or DatabaseError in `error`
+ */
+async function runSync() {
+  const previous = await getSyncState();
+  const checkedAt = Date.now();
+
+  // Without a cached menu from this source there is nothing to compare against, so always fetch in full
+  const cachedItems = await getMenuItems();
+  const hasCache = cachedItems.length > 0 && previous !== null && previous.sourceUrl === menuSource.url;
+
+  try {
+    const response = await menuSource.fetchMenu(hasCache ? previous.etag : null);
+
+    if (response.notModified) {
+      await saveSyncState({ ...previous, checkedAt, lastError: null });
+      return { status: 'unchanged' };
+    }
+
+    const payloadHash = hashPayload(response.text);
+    if (hasCache && previous.payloadHash === payloadHash) {
+      await saveSyncState({ ...previous, etag: response.etag, checkedAt, lastError: null });
+      return { status: 'unchanged' };
+    }
+
+    const changes = await applyPayload(menuSource, response, { checkedAt });
+    return { status: 'updated', changes };
+  } catch (error) {
+    console.error('Menu sync failed:', error);
+
+    // First launch without network: show the menu shipped with the app until the source is reachable
+    if (cachedItems.length === 0) {
+      try {
+        const changes = await applyPayload(fallbackSource, await fallbackSource.fetchMenu(), {
+          checkedAt,
+          lastError: error.message,
+        });
+        return { status: 'updated', changes, fallback: true, error };
+      } catch (fallbackError) {
+        console.error('Error loading bundled menu:', fallbackError);
+      }
+    }
+
+    try {
+      await saveSyncState({ ...previous, checkedAt, lastError: error.message });
+    } catch (stateError) {
+      console.error('Error recording sync failure:', stateError);
+    }
+    return { status: 'failed', error };
+  }
+}
+
+/**
+ * Download the images of the cached menu and drop the ones no longer used
+ * Runs in the background, the menu is usable before it finishes
+ */
+async function cacheMenuImages() {
+  const items = await getMenuItems();
+  const filenames = [...new Set(items.map(item => item.image).filter(Boolean))];
+  await syncImageCache(
+    filenames.map(filename => ({ filename, url: getMenuImageUrl(filename) }))
+  );
+}
+
+let syncInProgress = null;
+
+/**
+ * Sync the menu with the remote source
+ * Concurrent callers share the same in-flight sync
+ * @returns {Promise<Object>} Result with status 'updated', 'unchanged' or 'failed'
+ */
+export function syncMenu() {
+  if (!syncInProgress) {
+    syncInProgress = runSync()
+      .then(result => {
+        // Offline there is nothing to download, the images cached so far stay in use
+        if (result.status !== 'failed') {
+          cacheMenuImages().catch(error => console.warn('Could not cache menu images:', error.message));
+        }
+        return result;
+      })
+      .finally(() => {
+        syncInProgress = null;
+      });
+  }
+  return syncInProgress;
+}
+
+/**
+ * Re-check the menu on a schedule while the app is in use
+ * - Checks every intervalMs while the app is in the foreground
+ * - Checks when the app returns to the foreground if the last check is older than intervalMs
+ * @param {Function} onResult - Called with the result of every scheduled check
+ * @param {number} intervalMs - Time between checks
+ * @returns {Function} Stops the schedule
+ */
+export function scheduleMenuSync(onResult, intervalMs = SYNC_INTERVAL_MS) {
+  const check = async () => {
+    try {
+      const result = await syncMenu();
+      onResult(result);
+    } catch (error) {
+      console.error('Error running scheduled menu sync:', error);
+    }
+  };
+
+  const interval = setInterval(check, intervalMs);
+
+  const subscription = AppState.addEventListener('change', async (nextState) => {
+    if (nextState !== 'active') return;
+    try {
+      const state = await getSyncState();
+      if (!state || !state.checkedAt || Date.now() - state.checkedAt >= intervalMs) {
+        await check();
+      }
+    } catch (error) {
+      console.error('Error reading menu sync state:', error);
+    }
+  });
+
+  return () => {
+    clearInterval(interval);
+    subscription.remove();
+  };
+}
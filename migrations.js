@@ -0,0 +1,82 @@
+/**
+ * Schema Migrations - Versioned upgrades for the SQLite database
+ *
+ * Every table in the app is created and changed through a migration. Each
+ * migration has a version number and an `up` step; the database remembers the
+ * last version it ran in `PRAGMA user_version`.
+ *
+ * Rules:
+ * - Versions start at 1 and must be consecutive
+ * - A released migration is never edited, add a new version instead
+ * - Each `up` step runs in its own transaction together with the version bump
+ * - The app refuses to open a database written by a newer schema
+ */
+
+const migrations = []; // Registered migrations, kept sorted by version
+
+/**
+ * Register a schema migration
+ * @param {Object} migration
+ * @param {number} migration.version - Schema version this migration upgrades to
+ * @param {string} migration.description - Short summary used in logs and errors
+ * @param {Function} migration.up - async (db) => void, applies the change
+ */
+export function registerMigration({ version, description, up }) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid migration version: ${version}`);
+  }
+  if (migrations.some(migration => migration.version === version)) {
+    throw new Error(`Migration ${version} is already registered`);
+  }
+
+  migrations.push({ version, description, up });
+  migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get the schema version this build of the app knows about
+ * @returns {number} Highest registered version, 0 if none
+ */
+export function getLatestSchemaVersion() {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Bring the database schema up to date
+ * - Reads the current version from PRAGMA user_version
+ * - Runs every newer migration in order, each inside a transaction
+ * @param {Object} db - Database opened with expo-sqlite
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export async function runMigrations(db) {
+  // Catch gaps early, they usually mean a migration was merged with the wrong number
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration versions must be consecutive, expected ${index + 1} but found ${migration.version}`);
+    }
+  });
+
+  const { user_version: currentVersion } = await db.getFirstAsync('PRAGMA user_version');
+  const latestVersion = getLatestSchemaVersion();
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this app supports (${latestVersion}). Please update the app.`
+    );
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) continue;
+
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }
+
+  return latestVersion;
+}
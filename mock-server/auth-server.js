@@ -0,0 +1,151 @@
+/**
+ * Mock Auth Server - Local stand-in for the authentication backend
+ *
+ * Implements the endpoints used by auth.js with users and tokens kept in
+ * memory, so sign-up, sign-in, refresh and sign-out can be tried without a
+ * real backend. Everything is lost when the server stops.
+ *
+ * Usage:
+ *   npm run mock-auth
+ *
+ * Environment variables:
+ * - PORT: port to listen on (default 4000)
+ * - ACCESS_TOKEN_TTL: access token lifetime in seconds (default 900), set it
+ *   low to try token refresh
+ * - REFRESH_TOKEN_TTL: refresh token lifetime in seconds (default 30 days),
+ *   set it low to try an expired session
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4000;
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+const users = new Map(); // email -> { id, firstName, email, salt, passwordHash }
+const accessTokens = new Map(); // token -> { email, expiresAt }
+const refreshTokens = new Map(); // token -> { email, expiresAt }
+
+/**
+ * Hash a password with a per-user salt
+ * @param {string} password - Plain password
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex hash
+ */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+/**
+ * Public fields of a user
+ * @param {Object} user - Stored user
+ * @returns {Object} User as sent to the app
+ */
+function toPublicUser(user) {
+  return { id: user.id, firstName: user.firstName, email: user.email };
+}
+
+/**
+ * Issue a new access and refresh token pair
+ * @param {Object} user - Stored user
+ * @returns {Object} Session response
+ */
+function createSession(user) {
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, { email: user.email, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 });
+  refreshTokens.set(refreshToken, { email: user.email, expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000 });
+  return { user: toPublicUser(user), accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, empty when missing or malformed
+ */
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+const routes = {
+  'POST /signup': ({ firstName, email, password }) => {
+    const key = String(email || '').trim().toLowerCase();
+    if (!firstName || !key || !password) return [400, { error: 'First name, email and password are required' }];
+    if (String(password).length < 8) return [400, { error: 'Password must be at least 8 characters' }];
+    if (users.has(key)) return [409, { error: 'An account with this email already exists' }];
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = { id: crypto.randomUUID(), firstName, email: key, salt, passwordHash: hashPassword(password, salt) };
+    users.set(key, user);
+    return [201, createSession(user)];
+  },
+
+  'POST /signin': ({ email, password }) => {
+    const user = users.get(String(email || '').trim().toLowerCase());
+    if (!user || hashPassword(String(password || ''), user.salt) !== user.passwordHash) {
+      return [401, { error: 'Email or password is incorrect' }];
+    }
+    return [200, createSession(user)];
+  },
+
+  'POST /refresh': ({ refreshToken }) => {
+    const entry = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken); // Refresh tokens are single use
+    if (!entry || entry.expiresAt <= Date.now() || !users.has(entry.email)) {
+      return [401, { error: 'Session expired' }];
+    }
+    return [200, createSession(users.get(entry.email))];
+  },
+
+  'POST /signout': ({ refreshToken }) => {
+    refreshTokens.delete(refreshToken);
+    return [200, {}];
+  },
+
+  'GET /me': (body, req) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return [401, { error: 'Invalid or expired token' }];
+    }
+    return [200, { user: toPublicUser(users.get(entry.email)) }];
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+  if (!route) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const [status, body] = route(await readBody(req), req);
+  console.log(`${req.method} ${req.url} -> ${status}`);
+  send(res, status, body);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock auth server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,38 @@
+/**
+ * Pricing - Order totals shared by the cart and checkout
+ *
+ * All amounts are in dollars. Totals are rounded to whole cents so the
+ * numbers shown on screen are the numbers that get stored.
+ */
+
+// Sales tax applied to every order
+export const TAX_RATE = 0.08;
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Calculate subtotal, tax and total for a list of order lines
+ * @param {Array<{price: number, quantity: number}>} lines - Cart or order lines
+ * @returns {{subtotal: number, tax: number, total: number}} Amounts in dollars
+ */
+export function calculateTotals(lines) {
+  const subtotal = roundToCents(lines.reduce((sum, line) => sum + Number(line.price) * line.quantity, 0));
+  const tax = roundToCents(subtotal * TAX_RATE);
+  return { subtotal, tax, total: roundToCents(subtotal + tax) };
+}
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount in dollars
+ * @returns {string} e.g. "$12.99"
+ */
+export function formatPrice(amount) {
+  return `$${Number(amount).toFixed(2)}`;
+}
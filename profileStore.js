@@ -0,0 +1,252 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { encryptJson, decryptJson, isEncrypted } from './encryption';
+
+/**
+ * Profile Store - Local user profiles on a shared device
+ *
+ * Every user who signs in on the device gets their own profile, stored under
+ * 'profile:<id>'. The 'profiles' key lists the known ids and 'activeUser'
+ * holds the id of the signed-in user. Signing out only clears 'activeUser',
+ * so a returning user finds their details where they left them. A profile
+ * is tied to its account on the auth backend by 'userId'.
+ *
+ * Profiles hold personal data (name, email, phone, avatar file name, dietary
+ * preference), so they are encrypted at rest with the device key (see
+ * encryption.js). This module is the only place that reads or writes them;
+ * screens go through the session.
+ *
+ * Data written by older versions of the app is migrated the first time the
+ * store is read:
+ * - Global 'firstName', 'email', ... keys are moved into a profile
+ * - Profiles stored as plain JSON are encrypted
+ */
+
+// Fields kept for each profile
+export const PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'phoneCountry', 'avatar', 'dietary'];
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_USER_KEY = 'activeUser';
+const LEGACY_LOGGED_IN_KEY = 'isLoggedIn';
+
+/**
+ * Build the storage key of a profile
+ * @param {string} id - Profile id
+ * @returns {string} AsyncStorage key
+ */
+function profileKey(id) {
+  return `profile:${id}`;
+}
+
+/**
+ * Create a new, unique profile id
+ * @returns {string} Profile id
+ */
+function createProfileId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Keep the known profile fields, dropping empty values
+ * @param {Object} values - Candidate profile fields
+ * @returns {Object} Profile fields
+ */
+function pickProfileFields(values) {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (values[field]) fields[field] = values[field];
+  });
+  return fields;
+}
+
+/**
+ * Read the list of profile ids
+ * @returns {Promise<string[]>} Profile ids
+ */
+async function readProfileIds() {
+  const stored = await AsyncStorage.getItem(PROFILES_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Write a profile, encrypted, and make sure it is listed
+ * @param {Object} profile - Profile with id
+ */
+async function writeProfile(profile) {
+  const ids = await readProfileIds();
+  const entries = [[profileKey(profile.id), await encryptJson(profile)]];
+  if (!ids.includes(profile.id)) entries.push([PROFILES_KEY, JSON.stringify([...ids, profile.id])]);
+  await AsyncStorage.multiSet(entries);
+}
+
+/**
+ * Move a profile stored by older versions of the app into the profile store
+ * Runs once: the legacy keys are removed afterwards
+ */
+async function migrateLegacyProfile() {
+  if (await AsyncStorage.getItem(PROFILES_KEY)) return;
+
+  const stored = Object.fromEntries(await AsyncStorage.multiGet([...PROFILE_FIELDS, LEGACY_LOGGED_IN_KEY]));
+  const fields = pickProfileFields(stored);
+
+  if (fields.firstName || fields.email) {
+    const profile = { id: createProfileId(), ...fields, lastSignedInAt: new Date().toISOString() };
+    await writeProfile(profile);
+    if (stored[LEGACY_LOGGED_IN_KEY] === 'true') {
+      await AsyncStorage.setItem(ACTIVE_USER_KEY, profile.id);
+    }
+  } else {
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify([]));
+  }
+
+  await AsyncStorage.multiRemove([...PROFILE_FIELDS, LEGACY_LOGGED_IN_KEY]);
+}
+
+/**
+ * Encrypt profiles that older versions of the app stored as plain JSON
+ */
+async function encryptPlainProfiles() {
+  const ids = await readProfileIds();
+  const stored = await AsyncStorage.multiGet(ids.map(profileKey));
+  const plain = stored.filter(([, value]) => value && !isEncrypted(value));
+  if (plain.length === 0) return;
+
+  const entries = await Promise.all(plain.map(async ([key, value]) => [key, await encryptJson(JSON.parse(value))]));
+  await AsyncStorage.multiSet(entries);
+}
+
+let preparePromise = null;
+
+/**
+ * Run the one-time migrations before the store is first used
+ * @returns {Promise<void>}
+ */
+function prepareStore() {
+  if (!preparePromise) {
+    preparePromise = (async () => {
+      await migrateLegacyProfile();
+      await encryptPlainProfiles();
+    })().catch(error => {
+      preparePromise = null;
+      throw new Error('Failed to prepare profile store: ' + error.message);
+    });
+  }
+  return preparePromise;
+}
+
+/**
+ * Decrypt a stored profile
+ * A profile that cannot be decrypted (e.g. the device key was lost) is skipped
+ * @param {string|null} value - Stored value
+ * @returns {Promise<Object|null>} Profile, or null
+ */
+async function readStoredProfile(value) {
+  if (!value) return null;
+  try {
+    return await decryptJson(value);
+  } catch (error) {
+    console.warn('Skipping unreadable profile:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Read a single profile
+ * @param {string} id - Profile id
+ * @returns {Promise<Object|null>} Profile, or null if it does not exist
+ */
+export async function getProfile(id) {
+  await prepareStore();
+  return readStoredProfile(await AsyncStorage.getItem(profileKey(id)));
+}
+
+/**
+ * List every profile on the device, most recently signed in first
+ * @returns {Promise<Array>} Profiles
+ */
+export async function getProfiles() {
+  await prepareStore();
+  const ids = await readProfileIds();
+  const stored = await AsyncStorage.multiGet(ids.map(profileKey));
+  const profiles = await Promise.all(stored.map(([, value]) => readStoredProfile(value)));
+  return profiles
+    .filter(Boolean)
+    .sort((a, b) => (b.lastSignedInAt || '').localeCompare(a.lastSignedInAt || ''));
+}
+
+/**
+ * Read the profile of the signed-in user
+ * @returns {Promise<Object|null>} Active profile, or null when nobody is signed in
+ */
+export async function getActiveProfile() {
+  await prepareStore();
+  const id = await AsyncStorage.getItem(ACTIVE_USER_KEY);
+  return id ? getProfile(id) : null;
+}
+
+/**
+ * Sign a user in, reusing their profile if the account is already known
+ * - Profiles are matched on the backend user id; a profile from before ids were
+ *   kept is matched once on its email and linked to the id
+ * - The fields of a known profile are kept, they may have been edited on the device
+ * @param {Object} user - User from the auth backend: id, firstName and email
+ * @returns {Promise<Object>} Signed-in profile
+ */
+export async function signIn(user) {
+  const email = (user.email || '').trim().toLowerCase();
+  const profiles = await getProfiles();
+  const existing = profiles.find(profile => profile.userId === user.id)
+    || profiles.find(profile => !profile.userId && (profile.email || '').toLowerCase() === email);
+
+  const profile = {
+    ...(existing || { id: createProfileId(), ...pickProfileFields({ firstName: user.firstName, email: user.email }) }),
+    userId: user.id,
+    lastSignedInAt: new Date().toISOString(),
+  };
+  await writeProfile(profile);
+  await AsyncStorage.setItem(ACTIVE_USER_KEY, profile.id);
+  return profile;
+}
+
+/**
+ * End the session, keeping the user's profile on the device
+ */
+export async function signOut() {
+  await AsyncStorage.removeItem(ACTIVE_USER_KEY);
+}
+
+/**
+ * Change fields of a profile
+ * @param {string} id - Profile id
+ * @param {Object} changes - Fields to change, empty values remove the field
+ * @returns {Promise<Object>} Updated profile
+ */
+export async function updateProfile(id, changes) {
+  const profile = await getProfile(id);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  const updated = { ...profile };
+  PROFILE_FIELDS.filter(field => field in changes).forEach(field => {
+    if (changes[field]) {
+      updated[field] = changes[field];
+    } else {
+      delete updated[field];
+    }
+  });
+  await writeProfile(updated);
+  return updated;
+}
+
+/**
+ * Remove a profile and its saved details from the device
+ * @param {string} id - Profile id
+ */
+export async function removeProfile(id) {
+  const ids = await readProfileIds();
+  await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(ids.filter(entry => entry !== id)));
+  await AsyncStorage.removeItem(profileKey(id));
+  if ((await AsyncStorage.getItem(ACTIVE_USER_KEY)) === id) {
+    await AsyncStorage.removeItem(ACTIVE_USER_KEY);
+  }
+}
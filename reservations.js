@@ -0,0 +1,158 @@
+/**
+ * Reservations - Booking rules for table reservations
+ *
+ * Dates are 'YYYY-MM-DD' and times 'HH:MM', both in the restaurant's local
+ * time (the device clock). Everything here is plain logic so the booking
+ * screen and the reservation list agree on what is valid and what is past.
+ */
+
+// Opening hours per weekday (0 = Sunday), times in 'HH:MM'
+export const OPENING_HOURS = {
+  0: { open: '12:00', close: '21:00' },
+  1: { open: '11:00', close: '22:00' },
+  2: { open: '11:00', close: '22:00' },
+  3: { open: '11:00', close: '22:00' },
+  4: { open: '11:00', close: '22:00' },
+  5: { open: '11:00', close: '23:00' },
+  6: { open: '11:00', close: '23:00' },
+};
+
+export const SLOT_MINUTES = 30; // Spacing between bookable times
+export const LAST_SEATING_MINUTES = 60; // No bookings in the last hour before closing
+export const MIN_NOTICE_MINUTES = 30; // Same-day bookings need this much notice
+export const BOOKING_WINDOW_DAYS = 60; // How far ahead a table can be booked
+export const MIN_PARTY_SIZE = 1;
+export const MAX_PARTY_SIZE = 12; // Larger groups have to call the restaurant
+
+export const NO_OCCASION = 'None'; // Picker choice for no occasion, stored as NULL
+export const OCCASIONS = [NO_OCCASION, 'Birthday', 'Anniversary', 'Engagement', 'Business', 'Other'];
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to 'HH:MM'
+ * @param {number} totalMinutes - Minutes
+ * @returns {string} Time string
+ */
+function fromMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as 'YYYY-MM-DD' in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+export function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' (and optional 'HH:MM') into a local Date
+ * @param {string} date - Date string
+ * @param {string} [time] - Time string
+ * @returns {Date} Local date
+ */
+export function toDate(date, time = '00:00') {
+  const [year, month, day] = date.split('-').map(Number);
+  const minutes = toMinutes(time);
+  return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+}
+
+/**
+ * List the dates that can be booked, starting today
+ * @param {Date} now - Current time
+ * @returns {string[]} Dates as 'YYYY-MM-DD'
+ */
+export function getBookableDates(now = new Date()) {
+  const dates = [];
+  for (let offset = 0; offset < BOOKING_WINDOW_DAYS; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    if (getTimeSlots(toDateString(date), now).length > 0) dates.push(toDateString(date));
+  }
+  return dates;
+}
+
+/**
+ * List the bookable times on a date
+ * - Every SLOT_MINUTES from opening until LAST_SEATING_MINUTES before closing
+ * - Today, only times at least MIN_NOTICE_MINUTES from now
+ * @param {string} date - Date as 'YYYY-MM-DD'
+ * @param {Date} now - Current time
+ * @returns {string[]} Times as 'HH:MM'
+ */
+export function getTimeSlots(date, now = new Date()) {
+  const hours = OPENING_HOURS[toDate(date).getDay()];
+  if (!hours) return [];
+
+  const earliest = now.getTime() + MIN_NOTICE_MINUTES * 60 * 1000;
+  const slots = [];
+  for (let minutes = toMinutes(hours.open); minutes <= toMinutes(hours.close) - LAST_SEATING_MINUTES; minutes += SLOT_MINUTES) {
+    const time = fromMinutes(minutes);
+    if (toDate(date, time).getTime() >= earliest) slots.push(time);
+  }
+  return slots;
+}
+
+/**
+ * Check a reservation against the booking rules
+ * @param {Object} reservation
+ * @param {string} reservation.date - Date as 'YYYY-MM-DD'
+ * @param {string} reservation.time - Time as 'HH:MM'
+ * @param {number} reservation.partySize - Number of guests
+ * @param {string} reservation.occasion - One of OCCASIONS
+ * @param {Date} now - Current time
+ * @returns {Object} Error messages keyed by field, empty when the reservation is valid
+ */
+export function validateReservation({ date, time, partySize, occasion }, now = new Date()) {
+  const errors = {};
+
+  const today = toDateString(now);
+  const lastDay = toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() + BOOKING_WINDOW_DAYS - 1));
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    errors.date = 'Please choose a date';
+  } else if (date < today) {
+    errors.date = 'This date is in the past';
+  } else if (date > lastDay) {
+    errors.date = `Bookings open ${BOOKING_WINDOW_DAYS} days in advance`;
+  }
+
+  if (!time) {
+    errors.time = 'Please choose a time';
+  } else if (!errors.date && !getTimeSlots(date, now).includes(time)) {
+    errors.time = 'This time is not available, please pick another slot';
+  }
+
+  if (!Number.isInteger(partySize) || partySize < MIN_PARTY_SIZE) {
+    errors.partySize = 'Please enter the number of guests';
+  } else if (partySize > MAX_PARTY_SIZE) {
+    errors.partySize = `For more than ${MAX_PARTY_SIZE} guests, please call the restaurant`;
+  }
+
+  if (occasion && !OCCASIONS.includes(occasion)) {
+    errors.occasion = 'Unknown occasion';
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a reservation is still ahead
+ * @param {Object} reservation - Reservation with date and time
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the reservation starts after now
+ */
+export function isUpcoming(reservation, now = new Date()) {
+  return toDate(reservation.date, reservation.time).getTime() > now.getTime();
+}
@@ -0,0 +1,284 @@
+import React, { useCallback, useState } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Button, IconButton, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { initializeDatabase, getCartItems, setCartQuantity, removeFromCart, clearCart } from '../database';
+import { calculateTotals, formatPrice, TAX_RATE } from '../pricing';
+import { getErrorMessage } from '../errors';
+import QuantityStepper from '../components/QuantityStepper';
+import MenuImage from '../components/MenuImage';
+import { isServedAt } from '../availability';
+
+/**
+ * Cart Screen - Dishes the user is about to order
+ *
+ * Opened from the cart badge on the Home header or after adding a dish.
+ * It displays:
+ * - One line per dish with image, price and a quantity stepper
+ * - Subtotal, tax and total, with a button to continue to checkout
+ *
+ * Key Features:
+ * - Cart is stored in SQLite, so it survives app restarts
+ * - Prices always come from the current menu
+ * - Lines can be removed individually or all at once
+ * - Sold out dishes are flagged and block checkout until removed
+ * - Dishes not served right now are flagged, they can still be ordered for a later time
+ */
+
+export default function Cart({ navigation }) {
+    const [items, setItems] = useState([]); // Cart lines joined with menu details
+    const [loading, setLoading] = useState(true); // Loading state for the first read
+
+    /**
+     * Read the cart from the database
+     */
+    const loadCart = async () => {
+        try {
+            await initializeDatabase();
+            setItems(await getCartItems());
+        } catch (err) {
+            console.error('Error loading cart:', err);
+            Alert.alert('Could not load cart', getErrorMessage(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Reload every time the screen is shown, the cart may have changed elsewhere
+    useFocusEffect(
+        useCallback(() => {
+            loadCart();
+        }, [])
+    );
+
+    /**
+     * Change the quantity of a line
+     * @param {number} id - Menu item id
+     * @param {number} quantity - New quantity
+     */
+    const handleQuantityChange = async (id, quantity) => {
+        try {
+            await setCartQuantity(id, quantity);
+            await loadCart();
+        } catch (err) {
+            console.error('Error updating cart:', err);
+        }
+    };
+
+    /**
+     * Remove a line from the cart
+     * @param {number} id - Menu item id
+     */
+    const handleRemove = async (id) => {
+        try {
+            await removeFromCart(id);
+            await loadCart();
+        } catch (err) {
+            console.error('Error removing from cart:', err);
+        }
+    };
+
+    /**
+     * Empty the cart after confirmation
+     */
+    const handleClear = () => {
+        Alert.alert('Empty cart', 'Remove all dishes from your cart?', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Empty',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        await clearCart();
+                        await loadCart();
+                    } catch (err) {
+                        console.error('Error clearing cart:', err);
+                    }
+                },
+            },
+        ]);
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    // Empty state
+    if (items.length === 0) {
+        return (
+            <View style={styles.centered}>
+                <Text style={styles.emptyText}>Your cart is empty</Text>
+                <Button mode="contained" onPress={() => navigation.navigate('Home')} buttonColor="#495E57" textColor="#F4CE14">
+                    Browse menu
+                </Button>
+            </View>
+        );
+    }
+
+    const { subtotal, tax, total } = calculateTotals(items);
+    const hasSoldOut = items.some(item => !item.available);
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            {/* Cart lines */}
+            <FlatList
+                data={items}
+                keyExtractor={(item) => String(item.id)}
+                contentContainerStyle={styles.listContainer}
+                renderItem={({ item }) => (
+                    <View style={styles.line}>
+                        <MenuImage image={item.image} style={styles.lineImage} />
+                        <View style={styles.lineDetails}>
+                            <Text style={styles.lineName}>{item.name}</Text>
+                            {!item.available && <Text style={styles.soldOut}>Sold out, remove it to check out</Text>}
+                            {!!item.available && !isServedAt(item, new Date()) && (
+                                <Text style={styles.notServed}>Not served right now, schedule the order for later</Text>
+                            )}
+                            <Text style={styles.linePrice}>{formatPrice(item.price * item.quantity)}</Text>
+                            <QuantityStepper
+                                value={item.quantity}
+                                onChange={(quantity) => handleQuantityChange(item.id, quantity)}
+                                size={28}
+                            />
+                        </View>
+                        <IconButton
+                            icon="delete-outline"
+                            iconColor="#FF2400"
+                            onPress={() => handleRemove(item.id)}
+                            accessibilityLabel={`Remove ${item.name}`}
+                        />
+                    </View>
+                )}
+                ListFooterComponent={
+                    <Button mode="text" onPress={handleClear} textColor="#FF2400">
+                        Empty cart
+                    </Button>
+                }
+            />
+
+            {/* Order summary */}
+            <View style={styles.summary}>
+                <View style={styles.summaryRow}>
+                    <Text style={styles.summaryLabel}>Subtotal</Text>
+                    <Text style={styles.summaryValue}>{formatPrice(subtotal)}</Text>
+                </View>
+                <View style={styles.summaryRow}>
+                    <Text style={styles.summaryLabel}>Tax ({Math.round(TAX_RATE * 100)}%)</Text>
+                    <Text style={styles.summaryValue}>{formatPrice(tax)}</Text>
+                </View>
+                <View style={styles.summaryRow}>
+                    <Text style={styles.totalLabel}>Total</Text>
+                    <Text style={styles.totalValue}>{formatPrice(total)}</Text>
+                </View>
+                <Button
+                    mode="contained"
+                    onPress={() => navigation.navigate('Checkout')}
+                    disabled={hasSoldOut}
+                    style={styles.checkoutButton}
+                    buttonColor="#F4CE14"
+                    textColor="black"
+                >
+                    Checkout
+                </Button>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        backgroundColor: '#e0e0e0',
+    },
+    emptyText: {
+        fontSize: 18,
+        color: '#495E57',
+        marginBottom: 16,
+    },
+    listContainer: {
+        padding: 15,
+    },
+    line: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 10,
+        marginBottom: 12,
+    },
+    lineImage: {
+        width: 64,
+        height: 64,
+        borderRadius: 8,
+        marginRight: 12,
+    },
+    lineDetails: {
+        flex: 1,
+    },
+    lineName: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#222',
+    },
+    soldOut: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#FF2400',
+        marginTop: 2,
+    },
+    notServed: {
+        fontSize: 12,
+        color: '#555',
+        marginTop: 2,
+    },
+    linePrice: {
+        fontSize: 14,
+        color: '#388e3c',
+        marginVertical: 4,
+    },
+    summary: {
+        backgroundColor: '#fff',
+        padding: 16,
+        borderTopWidth: 1,
+        borderTopColor: '#e0e0e0',
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 6,
+    },
+    summaryLabel: {
+        fontSize: 14,
+        color: '#555',
+    },
+    summaryValue: {
+        fontSize: 14,
+        color: '#333',
+    },
+    totalLabel: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#495E57',
+    },
+    totalValue: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#495E57',
+    },
+    checkoutButton: {
+        marginTop: 10,
+    },
+});
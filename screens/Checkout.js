@@ -0,0 +1,346 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, TextInput, Button, SegmentedButtons, HelperText } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { getCartItems, placeOrder } from '../database';
+import { calculateTotals, formatPrice } from '../pricing';
+import { useSession } from '../session';
+import { validateEmail } from '../validation';
+import { getErrorMessage } from '../errors';
+
+/**
+ * Checkout Screen - Turn the cart into an order
+ *
+ * Opened from the Cart screen. It collects:
+ * - Pickup or delivery (with address for delivery)
+ * - Requested time, as soon as possible or a 15 minute slot
+ * - Notes for the kitchen
+ * - Contact details, pre-filled from the saved profile
+ *
+ * Placing the order stores it in the order history and empties the cart.
+ */
+
+const SLOT_MINUTES = 15; // Spacing between selectable times
+const SLOT_COUNT = 8; // Number of selectable times after "As soon as possible"
+const PREPARATION_MINUTES = 20; // Earliest slot is at least this far away
+
+/**
+ * Build the selectable pickup/delivery times
+ * @param {Date} now - Current time
+ * @returns {Array<{key: string, label: string, time: number|null}>} Slots, the first being ASAP
+ */
+function buildTimeSlots(now) {
+    const slots = [{ key: 'asap', label: 'As soon as possible', time: null }];
+
+    // First slot: preparation time from now, rounded up to the next slot boundary
+    const first = new Date(now.getTime() + PREPARATION_MINUTES * 60 * 1000);
+    first.setSeconds(0, 0);
+    first.setMinutes(Math.ceil(first.getMinutes() / SLOT_MINUTES) * SLOT_MINUTES);
+
+    for (let i = 0; i < SLOT_COUNT; i++) {
+        const slot = new Date(first.getTime() + i * SLOT_MINUTES * 60 * 1000);
+        slots.push({
+            key: String(slot.getTime()),
+            label: slot.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }),
+            time: slot.getTime(),
+        });
+    }
+    return slots;
+}
+
+export default function Checkout({ navigation }) {
+    const { profile } = useSession(); // Stored profile used to pre-fill contact details
+    const [items, setItems] = useState([]); // Cart lines being ordered
+    const [fulfillment, setFulfillment] = useState('pickup'); // 'pickup' or 'delivery'
+    const [timeSlots] = useState(() => buildTimeSlots(new Date())); // Selectable times
+    const [selectedSlot, setSelectedSlot] = useState('asap'); // Key of the chosen time slot
+    const [address, setAddress] = useState(''); // Delivery address
+    const [notes, setNotes] = useState(''); // Notes for the kitchen
+    const [name, setName] = useState(''); // Name on the order
+    const [email, setEmail] = useState(''); // Contact email
+    const [phone, setPhone] = useState(''); // Contact phone
+    const [submitted, setSubmitted] = useState(false); // Show validation errors after the first attempt
+    const [placing, setPlacing] = useState(false); // Prevent double submission
+
+    /**
+     * Load the cart and pre-fill contact details from the stored profile
+     */
+    useEffect(() => {
+        const loadCheckout = async () => {
+            try {
+                setItems(await getCartItems());
+
+                setName([profile.firstName, profile.lastName].filter(Boolean).join(' '));
+                if (profile.email) setEmail(profile.email);
+                if (profile.phone) setPhone(profile.phone);
+            } catch (err) {
+                console.error('Error loading checkout:', err);
+            }
+        };
+        loadCheckout();
+    }, []);
+
+    // Validation
+    const isNameValid = name.trim().length > 0;
+    const isEmailValid = validateEmail(email) === null;
+    const isAddressValid = fulfillment === 'pickup' || address.trim().length > 0;
+    const isFormValid = isNameValid && isEmailValid && isAddressValid && items.length > 0;
+
+    const { subtotal, tax, total } = calculateTotals(items);
+
+    /**
+     * Place the order
+     * - Validates the form
+     * - Stores the order and empties the cart
+     * - Returns to Home
+     */
+    const handlePlaceOrder = async () => {
+        setSubmitted(true);
+        if (!isFormValid || placing) return;
+
+        setPlacing(true);
+        try {
+            const slot = timeSlots.find(entry => entry.key === selectedSlot);
+            await placeOrder({
+                fulfillment,
+                scheduledFor: slot ? slot.time : null,
+                address: fulfillment === 'delivery' ? address.trim() : null,
+                notes: notes.trim(),
+                customerName: name.trim(),
+                email: email.trim(),
+                phone: phone.trim(),
+            });
+
+            Alert.alert('Order placed', 'Thank you! Your order is on its way to the kitchen.', [
+                {
+                    text: 'OK',
+                    onPress: () => navigation.popToTop(),
+                },
+            ]);
+        } catch (err) {
+            console.error('Error placing order:', err);
+            Alert.alert('Could not place order', getErrorMessage(err));
+        } finally {
+            setPlacing(false);
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <KeyboardAvoidingView style={styles.flex} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+                <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                    {/* Pickup or delivery */}
+                    <Text style={styles.sectionTitle}>How would you like your order?</Text>
+                    <SegmentedButtons
+                        value={fulfillment}
+                        onValueChange={setFulfillment}
+                        buttons={[
+                            { value: 'pickup', label: 'Pickup', icon: 'storefront-outline' },
+                            { value: 'delivery', label: 'Delivery', icon: 'moped-outline' },
+                        ]}
+                        style={styles.segmented}
+                    />
+
+                    {fulfillment === 'delivery' && (
+                        <>
+                            <TextInput
+                                mode="outlined"
+                                label="Delivery address"
+                                value={address}
+                                onChangeText={setAddress}
+                                style={styles.input}
+                                multiline
+                                error={submitted && !isAddressValid}
+                            />
+                            <HelperText type="error" visible={submitted && !isAddressValid}>
+                                Please enter a delivery address
+                            </HelperText>
+                        </>
+                    )}
+
+                    {/* Requested time */}
+                    <Text style={styles.sectionTitle}>{fulfillment === 'pickup' ? 'Pickup time' : 'Delivery time'}</Text>
+                    <View style={styles.slotRow}>
+                        {timeSlots.map((slot) => (
+                            <TouchableOpacity
+                                key={slot.key}
+                                style={[styles.slot, selectedSlot === slot.key && styles.slotActive]}
+                                onPress={() => setSelectedSlot(slot.key)}
+                            >
+                                <Text style={[styles.slotText, selectedSlot === slot.key && styles.slotTextActive]}>
+                                    {slot.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {/* Notes */}
+                    <TextInput
+                        mode="outlined"
+                        label="Notes for the kitchen (optional)"
+                        value={notes}
+                        onChangeText={setNotes}
+                        style={styles.input}
+                        multiline
+                    />
+
+                    {/* Contact details */}
+                    <Text style={styles.sectionTitle}>Contact details</Text>
+                    <TextInput
+                        mode="outlined"
+                        label="Name"
+                        value={name}
+                        onChangeText={setName}
+                        style={styles.input}
+                        error={submitted && !isNameValid}
+                    />
+                    <HelperText type="error" visible={submitted && !isNameValid}>
+                        Please enter your name
+                    </HelperText>
+                    <TextInput
+                        mode="outlined"
+                        label="Email"
+                        value={email}
+                        onChangeText={setEmail}
+                        keyboardType="email-address"
+                        autoCapitalize="none"
+                        style={styles.input}
+                        error={submitted && !isEmailValid}
+                    />
+                    <HelperText type="error" visible={submitted && !isEmailValid}>
+                        Please enter a valid email
+                    </HelperText>
+                    <TextInput
+                        mode="outlined"
+                        label="Phone (optional)"
+                        value={phone}
+                        onChangeText={setPhone}
+                        keyboardType="phone-pad"
+                        style={styles.input}
+                    />
+
+                    {/* Order summary */}
+                    <View style={styles.summary}>
+                        {items.map((item) => (
+                            <View key={item.id} style={styles.summaryRow}>
+                                <Text style={styles.summaryLabel}>{item.quantity} × {item.name}</Text>
+                                <Text style={styles.summaryValue}>{formatPrice(item.price * item.quantity)}</Text>
+                            </View>
+                        ))}
+                        <View style={[styles.summaryRow, styles.summaryDivider]}>
+                            <Text style={styles.summaryLabel}>Subtotal</Text>
+                            <Text style={styles.summaryValue}>{formatPrice(subtotal)}</Text>
+                        </View>
+                        <View style={styles.summaryRow}>
+                            <Text style={styles.summaryLabel}>Tax</Text>
+                            <Text style={styles.summaryValue}>{formatPrice(tax)}</Text>
+                        </View>
+                        <View style={styles.summaryRow}>
+                            <Text style={styles.totalLabel}>Total</Text>
+                            <Text style={styles.totalLabel}>{formatPrice(total)}</Text>
+                        </View>
+                    </View>
+                </ScrollView>
+
+                {/* Place order button */}
+                <View style={styles.footer}>
+                    <Button
+                        mode="contained"
+                        onPress={handlePlaceOrder}
+                        loading={placing}
+                        disabled={placing || items.length === 0}
+                        buttonColor={isFormValid ? '#F4CE14' : '#A9A9A9'}
+                        textColor="black"
+                    >
+                        Place order · {formatPrice(total)}
+                    </Button>
+                </View>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    flex: {
+        flex: 1,
+    },
+    content: {
+        padding: 15,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginTop: 8,
+        marginBottom: 10,
+    },
+    segmented: {
+        marginBottom: 12,
+    },
+    input: {
+        backgroundColor: '#fff',
+    },
+    slotRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 12,
+    },
+    slot: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        marginBottom: 6,
+        borderRadius: 15,
+        backgroundColor: '#fff',
+    },
+    slotActive: {
+        backgroundColor: '#495E57',
+    },
+    slotText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+    },
+    slotTextActive: {
+        color: '#F4CE14',
+    },
+    summary: {
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        marginTop: 16,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 6,
+    },
+    summaryDivider: {
+        borderTopWidth: 1,
+        borderTopColor: '#e0e0e0',
+        paddingTop: 6,
+    },
+    summaryLabel: {
+        fontSize: 14,
+        color: '#555',
+    },
+    summaryValue: {
+        fontSize: 14,
+        color: '#333',
+    },
+    totalLabel: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+    },
+    footer: {
+        padding: 12,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e0e0e0',
+    },
+});
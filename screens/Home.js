@@ -1,115 +1,364 @@
-import React, { useEffect, useState } from 'react';
-import { View, StyleSheet, SectionList, Image, TouchableOpacity } from 'react-native';
-import { Text, ActivityIndicator, Searchbar } from 'react-native-paper';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { View, StyleSheet, SectionList, Image, TouchableOpacity, ScrollView, RefreshControl, Alert, AppState } from 'react-native';
+import { Text, ActivityIndicator, Searchbar, IconButton, Badge, Button, Banner, Icon } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { createTable, getMenuItems as getMenuItemsFromDB, saveMenuItems, filterByCategory, searchMenuItems } from '../database';
+import { initializeDatabase, getMenuItems as getMenuItemsFromDB, getCategories, queryMenuItems, fuzzySearchMenuItems, getCartCount, getSyncState, setFavorite, getFavoriteCount, HIGHLIGHT_START, HIGHLIGHT_END } from '../database';
+import { syncMenu, scheduleMenuSync } from '../menuSync';
+import { fallbackSource } from '../menuSource';
+import { getErrorMessage } from '../errors';
+import { isServedAt, isSpecialOn, describeAvailability, getNextAvailabilityChange } from '../availability';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useSession } from '../session';
+import SortFilterSheet, { DEFAULT_MENU_OPTIONS } from '../components/SortFilterSheet';
+import UserAvatar from '../components/UserAvatar';
+import MenuImage from '../components/MenuImage';
+import DietaryBadges from '../components/DietaryBadges';
 
 /**
  * Home Screen - Main Menu Display
  * 
  * This is the primary screen users see after logging in. It displays:
- * - Restaurant header with logo and profile navigation
- * - Introduction section with restaurant description
+ * - Restaurant header with logo, cart badge and profile navigation
+ * - Introduction section with restaurant description and table reservations
  * - Search functionality with debounced input
- * - Category filtering (All, Starters, Mains, Desserts)
- * - Menu items displayed in a grouped list by category
+ * - Category filtering built from the categories present in the menu
+ * - Menu items displayed in a grouped list by category, tap an item for details
  * 
  * Key Features:
- * - Fetches menu data from API on first load, then stores in SQLite database
- * - Real-time search with 500ms debouncing for performance
- * - Category filtering with visual feedback
+ * - Serves the menu from SQLite and keeps it in sync with the API (see menuSync.js)
+ * - Dish images served from the offline image cache, with a placeholder when unavailable
+ * - Real-time full-text search with 500ms debouncing, ranked by relevance
+ * - Matched search terms highlighted in item names and descriptions
+ * - Typo-tolerant fallback with a "Did you mean" suggestion
+ * - Scrollable multi-select category filter with item counts, refreshed after every sync
+ * - Heart toggle on every dish and a "Favorites" chip that shows only saved dishes
+ * - Pull to refresh re-runs the menu sync
+ * - Banner when the menu shown may be out of date because a refresh failed
+ * - Retry actions instead of a dead end when loading the menu fails
+ * - Search and category filters combine instead of resetting each other
+ * - Sort and price range options, remembered between sessions
+ * - Diet and allergen badges on every dish, with dietary filters that start
+ *   from the preference saved in the user's profile
+ * - Dishes marked sold out in staff mode are greyed out with a "Sold out" label
+ * - "Today's specials" pinned above the menu, and dishes outside their serving
+ *   times greyed out or hidden, re-checked as the clock moves on and whenever
+ *   the app returns to the foreground (see availability.js)
  * - Responsive design with proper keyboard handling
  */
 
-// Fetch menu data from external API
-async function fetchMenuFromAPI() {
-    try {
-      const response = await fetch('https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/capstone.json');
-      const json = await response.json();
-      return json;
-    } catch (error) {
-      console.error('Fetch error:', error);
-      throw error;
-    }
+/**
+ * Render text that may contain search highlight markers
+ * Segments between HIGHLIGHT_START and HIGHLIGHT_END are shown emphasized
+ * @param {string} text - Text from the database, with or without markers
+ * @param {Object} style - Style for the whole text
+ * @param {number} numberOfLines - Optional line limit
+ */
+function HighlightedText({ text, style, numberOfLines }) {
+  if (!text) return null;
+
+  const parts = text.split(HIGHLIGHT_START);
+
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {parts.map((part, index) => {
+        // The first part always comes before any highlight
+        if (index === 0) return part;
+
+        const [match, rest] = part.split(HIGHLIGHT_END);
+        return (
+          <React.Fragment key={index}>
+            <Text style={styles.highlight}>{match}</Text>
+            {rest}
+          </React.Fragment>
+        );
+      })}
+    </Text>
+  );
+}
+
+/**
+ * Split menu items into SectionList sections
+ * - Today's specials come first in a section of their own, and stay in the list below too
+ * - Grouped by category, sections keep the order in which their first item appears
+ * - Otherwise (search results, price, name or popularity sorts) the items stay in one section, in the order given
+ * - Every item gets servedNow, whether it is served at the given moment
+ * @param {Array} menuItems - Items from the database
+ * @param {Date} now - Moment to evaluate serving times and specials against
+ * @param {Object} options
+ * @param {boolean} options.groupByCategory - One section per category instead of a single list
+ * @param {boolean} options.hideUnavailable - Leave out dishes that are not served now
+ * @returns {Array<{key: string, title: string, data: Array}>} Sections
+ */
+function buildSections(menuItems, now, { groupByCategory, hideUnavailable }) {
+  const items = menuItems
+    .map(item => ({ ...item, servedNow: isServedAt(item, now) }))
+    .filter(item => item.servedNow || !hideUnavailable);
+
+  let sections;
+  if (groupByCategory) {
+    const grouped = {};
+    items.forEach(item => {
+      if (!grouped[item.category]) grouped[item.category] = [];
+      grouped[item.category].push(item);
+    });
+
+    sections = Object.keys(grouped).map(category => ({
+      key: category,
+      title: category,
+      data: grouped[category]
+    }));
+  } else {
+    sections = items.length > 0 ? [{ key: 'results', title: '', data: items }] : [];
   }
-  
+
+  const specials = items.filter(item => isSpecialOn(item, now));
+  if (specials.length > 0) {
+    sections.unshift({ key: 'specials', title: "Today's specials", data: specials });
+  }
+  return sections;
+}
+
+/**
+ * Describe why the menu on screen may be out of date
+ * @param {Object} staleMenu - error, syncedAt and isBundled
+ * @returns {string} Banner text
+ */
+function describeStaleMenu({ error, syncedAt, isBundled }) {
+  const reason = getErrorMessage(error);
+  if (isBundled || !syncedAt) return `Showing the menu built into the app. ${reason}`;
+
+  const updated = new Date(syncedAt).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `Showing the saved menu from ${updated}. ${reason}`;
+}
+
+// AsyncStorage key for the sort, price range and serving time options
+const MENU_OPTIONS_KEY = 'menuOptions';
 
 export default function Home() {
   // State management for menu data and UI
-  const [sections, setSections] = useState([]); // Menu items grouped by category for SectionList
+  const [menuItems, setMenuItems] = useState([]); // Menu items matching the search and filters
+  const [isGrouped, setIsGrouped] = useState(true); // Whether menuItems are shown by category, searches and other sorts keep their order
+  const [now, setNow] = useState(() => new Date()); // Moment serving times and specials are evaluated against
   const [loading, setLoading] = useState(true); // Loading state for initial data fetch
-  const [error, setError] = useState(null); // Error state for API/database failures
-  const [selectedCategory, setSelectedCategory] = useState('all'); // Currently selected category filter
+  const [error, setError] = useState(null); // Error that left no menu to show at all
+  const [listError, setListError] = useState(null); // Error from the last menu query, the list shows a retry
+  const [staleMenu, setStaleMenu] = useState(null); // Why the menu shown may be out of date, null when the last refresh worked
+  const [isRefreshing, setIsRefreshing] = useState(false); // Pull-to-refresh in progress
+  const [selectedCategories, setSelectedCategories] = useState([]); // Active category filters, empty means all
   const [isInitialized, setIsInitialized] = useState(false); // Database initialization flag
   const [searchQuery, setSearchQuery] = useState(''); // Current search input
   const [debouncedSearchQuery, setDebouncedSearchQuery] = useState(''); // Debounced search for performance
-  const [avatar, setAvatar] = useState(null); // User's profile avatar
+  const [suggestion, setSuggestion] = useState(null); // "Did you mean" text when the exact search finds nothing
+  const { profile } = useSession(); // Signed-in user's profile, for the header avatar
+  const [cartCount, setCartCount] = useState(0); // Number of portions in the cart for the header badge
+  const [menuVersion, setMenuVersion] = useState(0); // Bumped whenever a sync changes the menu
+  const [favoritesOnly, setFavoritesOnly] = useState(false); // "Favorites" chip, only shows saved dishes
+  const [favoritesVersion, setFavoritesVersion] = useState(0); // Bumped when favorites or staff edits may have changed the menu
+  const hasLeftScreen = useRef(false); // Set once Home lost focus, e.g. to the detail screen
   const navigation = useNavigation();
 
-  // Available menu categories for filtering
-  const categories = [
-    { key: 'all', label: 'All' },
-    { key: 'starters', label: 'Starters' },
-    { key: 'mains', label: 'Mains' },
-    { key: 'desserts', label: 'Desserts' }
-  ];
+  const [categories, setCategories] = useState([]); // Category filter chips derived from the menu
+  const [menuOptions, setMenuOptions] = useState(() => ({
+    ...DEFAULT_MENU_OPTIONS,
+    dietary: profile.dietary || [],
+  })); // Sort order, price range and dietary filters
+  const [isSortSheetVisible, setIsSortSheetVisible] = useState(false); // Sort & filter sheet visibility
+
+  /**
+   * Record the outcome of a menu sync
+   * - Reloads the list whenever the sync changed something
+   * - Shows the stale-data banner when the menu could not be refreshed,
+   *   including when the bundled menu stands in for the configured source
+   * @param {Object} result - Result of syncMenu
+   */
+  const handleSyncResult = useCallback(async (result) => {
+    if (result.status === 'updated') setMenuVersion(version => version + 1);
+
+    if (result.status !== 'failed' && !result.fallback) {
+      setStaleMenu(null);
+      return;
+    }
+    try {
+      const state = await getSyncState();
+      setStaleMenu({
+        error: result.error,
+        syncedAt: state?.syncedAt ?? null,
+        isBundled: state?.sourceUrl === fallbackSource.url,
+      });
+    } catch (err) {
+      setStaleMenu({ error: result.error, syncedAt: null, isBundled: false });
+    }
+  }, []);
 
   /**
-   * Initialize the app on first load
-   * - Creates database table if it doesn't exist
-   * - Fetches menu data from API if database is empty
-   * - Loads initial menu items
+   * Initialize the app on first load, and again from the retry button
+   * - Runs pending database migrations
+   * - Syncs with the API before showing anything if there is no cached menu yet
+   * - Otherwise shows the cached menu right away and syncs in the background
    */
+  const initializeApp = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      // Bring the database schema up to date
+      await initializeDatabase();
+
+      const cachedItems = await getMenuItemsFromDB();
+
+      if (cachedItems.length === 0) {
+        console.log('Database is empty, fetching from API...');
+        const result = await syncMenu();
+
+        // Nothing cached and nothing fetched, so there is no menu to show
+        if (result.status === 'failed') throw result.error;
+        await handleSyncResult(result);
+      } else {
+        console.log('Loading menu items from database');
+        syncMenu()
+          .then(handleSyncResult)
+          .catch(err => console.error('Error syncing menu:', err));
+      }
+
+      setIsInitialized(true);
+    } catch (err) {
+      console.error('Error initializing app:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [handleSyncResult]);
+
   useEffect(() => {
-    const initializeApp = async () => {
+    initializeApp();
+  }, [initializeApp]);
+
+  /**
+   * Re-run the menu sync from pull-to-refresh or the banner
+   */
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      await handleSyncResult(await syncMenu());
+    } catch (err) {
+      console.error('Error refreshing menu:', err);
+      await handleSyncResult({ status: 'failed', error: err });
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  /**
+   * Re-check the menu periodically and when the app returns to the foreground
+   * Reloads the list or shows the banner depending on the outcome
+   */
+  useEffect(() => {
+    return scheduleMenuSync(handleSyncResult);
+  }, [handleSyncResult]);
+
+  /**
+   * Build the category filter from the menu data
+   * - Re-runs whenever a sync changes the menu or a favorite changes
+   * - Drops selected categories that no longer exist
+   */
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const loadCategories = async () => {
       try {
-        // Initialize database table
-        await createTable();
-        
-        // Try to get menu items from database first
-        let menuItems = await getMenuItemsFromDB();
-        
-        // If database is empty, fetch from API and save to database
-        if (!menuItems || menuItems.length === 0) {
-          console.log('Database is empty, fetching from API...');
-          const apiData = await fetchMenuFromAPI();
-          
-          if (apiData && apiData.menu) {
-            // Save menu items to database
-            await saveMenuItems(apiData.menu);
-            menuItems = apiData.menu;
-            console.log('Menu items saved to database');
-          }
-        } else {
-          console.log('Loading menu items from database');
+        const [menuCategories, favoriteCount] = await Promise.all([getCategories(), getFavoriteCount()]);
+        const total = menuCategories.reduce((sum, entry) => sum + entry.count, 0);
+
+        setCategories([
+          { key: 'all', label: 'All', count: total },
+          { key: 'favorites', label: 'Favorites', count: favoriteCount },
+          ...menuCategories.map(entry => ({
+            key: entry.category,
+            label: entry.category.charAt(0).toUpperCase() + entry.category.slice(1),
+            count: entry.count,
+          })),
+        ]);
+        setSelectedCategories(current => {
+          const remaining = current.filter(key => menuCategories.some(entry => entry.category === key));
+          return remaining.length === current.length ? current : remaining;
+        });
+      } catch (err) {
+        console.error('Error loading categories:', err);
+      }
+    };
+    loadCategories();
+  }, [isInitialized, menuVersion, favoritesVersion]);
+
+  /**
+   * Refresh the cart badge whenever Home comes back into view
+   * The menu is reloaded too, favorites may have changed on the detail screen and dishes in staff mode
+   */
+  useFocusEffect(
+    useCallback(() => {
+      if (!isInitialized) return;
+      getCartCount()
+        .then(setCartCount)
+        .catch(err => console.error('Error loading cart count:', err));
+
+      if (hasLeftScreen.current) setFavoritesVersion(version => version + 1);
+      return () => {
+        hasLeftScreen.current = true;
+      };
+    }, [isInitialized])
+  );
+
+  /**
+   * Restore the sort, price range and serving time options from the last session
+   * Dietary filters are not restored, they start from the profile preference
+   */
+  useEffect(() => {
+    const loadMenuOptions = async () => {
+      try {
+        const storedOptions = await AsyncStorage.getItem(MENU_OPTIONS_KEY);
+        if (storedOptions) {
+          const { sort, minPrice, maxPrice, hideUnavailable } = { ...DEFAULT_MENU_OPTIONS, ...JSON.parse(storedOptions) };
+          setMenuOptions(current => ({ ...current, sort, minPrice, maxPrice, hideUnavailable }));
         }
-        
-        // Load initial data
-        await loadMenuByCategory('all', menuItems);
-        setIsInitialized(true);
       } catch (err) {
-        console.error('Error initializing app:', err);
-        setError(err.message || 'Error initializing app');
-      } finally {
-        setLoading(false);
+        console.error('Error loading menu options:', err);
       }
     };
-    
-    initializeApp();
+    loadMenuOptions();
   }, []);
 
   /**
-   * Load user's avatar from AsyncStorage
+   * Apply the dietary preference again whenever it changes in the profile
    */
+  const preferredDietary = (profile.dietary || []).join();
   useEffect(() => {
-    const loadAvatar = async () => {
-      const storedAvatar = await AsyncStorage.getItem('avatar');
-      if (storedAvatar) setAvatar(storedAvatar);
+    setMenuOptions(current => ({ ...current, dietary: preferredDietary ? preferredDietary.split(',') : [] }));
+  }, [preferredDietary]);
+
+  /**
+   * Keep the clock used for serving times and specials current
+   * - Moves on when a meal period starts or ends, or the day changes
+   * - Catches up when the app returns to the foreground, timers do not run in the background
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => setNow(new Date()), getNextAvailabilityChange(now) - Date.now());
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') setNow(new Date());
+    });
+    return () => {
+      clearTimeout(timer);
+      subscription.remove();
     };
-    loadAvatar();
-  }, []);
+  }, [now]);
+
+  const sections = useMemo(
+    () => buildSections(menuItems, now, { groupByCategory: isGrouped, hideUnavailable: menuOptions.hideUnavailable }),
+    [menuItems, isGrouped, now, menuOptions.hideUnavailable]
+  );
 
   /**
    * Debounce search query to improve performance
@@ -125,99 +374,76 @@ export default function Home() {
 
   /**
    * Handle menu filtering and searching
-   * - If search query exists, search across all menu items
-   * - If no search query, filter by selected category
-   * - Groups results by category for SectionList display
+   * - Search query, selected categories, favorites, sort order and price range are applied together
+   * - If the exact search finds nothing, fall back to fuzzy matching and offer a suggestion
+   * - Groups the menu by category for SectionList display, search results and other sorts keep their order
    */
   useEffect(() => {
     if (isInitialized) {
-      if (debouncedSearchQuery.trim()) {
-        // Use database search function directly
-        searchMenuItems(debouncedSearchQuery).then(menuItems => {
-          setLoading(true);
-          
-          // Transform data to SectionList format
-          if (menuItems && menuItems.length > 0) {
-            // Group by category
-            const grouped = {};
-            menuItems.forEach(item => {
-              if (!grouped[item.category]) grouped[item.category] = [];
-              grouped[item.category].push(item);
-            });
-            
-            const sectionData = Object.keys(grouped).map(category => ({
-              title: category,
-              data: grouped[category]
-            }));
-            
-            setSections(sectionData);
-          } else {
-            setSections([]);
-          }
-          setLoading(false);
-        }).catch(err => {
-          console.error('Error searching menu:', err);
-          setError(err.message || 'Error searching menu');
-          setLoading(false);
-        });
-      } else {
-        loadMenuByCategory(selectedCategory);
-      }
+      loadMenu(debouncedSearchQuery, selectedCategories, menuOptions, favoritesOnly);
     }
-  }, [selectedCategory, debouncedSearchQuery, isInitialized]);
+  }, [selectedCategories, debouncedSearchQuery, menuOptions, favoritesOnly, isInitialized, menuVersion, favoritesVersion]);
 
   /**
-   * Load menu items by category
-   * @param {string} category - Category to filter by ('all', 'starters', 'mains', 'desserts')
-   * @param {Array} existingMenuItems - Optional existing items to use (for initial load)
+   * Load menu items matching the current search and filters
+   * @param {string} search - Search query, empty for no search
+   * @param {string[]} categoryKeys - Selected categories, empty for all
+   * @param {Object} options - Sort order and price range
+   * @param {boolean} onlyFavorites - Only show favorite dishes
    */
-  const loadMenuByCategory = async (category, existingMenuItems = null) => {
-    setLoading(true);
-    
+  const loadMenu = async (search, categoryKeys, options, onlyFavorites) => {
     try {
-      let menuItems;
+      const filters = {
+        categories: categoryKeys,
+        minPrice: options.minPrice,
+        maxPrice: options.maxPrice,
+        dietary: options.dietary,
+        favoritesOnly: onlyFavorites,
+      };
+      let menuItems = await queryMenuItems({ search, sort: options.sort, ...filters });
       
-      if (existingMenuItems) {
-        // Use existing items (for initial load)
-        menuItems = existingMenuItems;
-      } else {
-        // Fetch from database
-        menuItems = await filterByCategory(category);
+      // Fall back to typo-tolerant matching when the exact search finds nothing
+      let suggestionText = null;
+      if (search.trim() && menuItems.length === 0) {
+        const fuzzyResult = await fuzzySearchMenuItems(search, filters);
+        menuItems = fuzzyResult.items;
+        suggestionText = fuzzyResult.suggestion;
       }
       
-      // Transform data to SectionList format
-      if (menuItems && menuItems.length > 0) {
-        // Group by category
-        const grouped = {};
-        menuItems.forEach(item => {
-          if (!grouped[item.category]) grouped[item.category] = [];
-          grouped[item.category].push(item);
-        });
-        
-        const sectionData = Object.keys(grouped).map(category => ({
-          title: category,
-          data: grouped[category]
-        }));
-        
-        setSections(sectionData);
-      } else {
-        setSections([]);
-      }
+      setSuggestion(suggestionText);
+      setMenuItems(menuItems);
+      // Only the default order is by category, any other order spans the whole list
+      setIsGrouped(!search.trim() && !options.sort);
+      setListError(null);
     } catch (err) {
-      console.error('Error loading menu by category:', err);
-      setError(err.message || 'Error loading menu');
-    } finally {
-      setLoading(false);
+      console.error('Error loading menu:', err);
+      setMenuItems([]);
+      setListError(err);
     }
   };
 
   /**
-   * Handle category button press
-   * @param {string} category - Selected category
+   * Handle category chip press
+   * - 'all' clears the category and favorites filters
+   * - 'favorites' toggles showing only favorite dishes, on top of the categories
+   * - Any other category is toggled on or off, several can be active at once
+   * @param {string} category - Pressed category
    */
   const handleCategoryPress = (category) => {
-    setSelectedCategory(category);
-    setSearchQuery(''); // Clear search when category is selected
+    if (category === 'all') {
+      setSelectedCategories([]);
+      setFavoritesOnly(false);
+      return;
+    }
+    if (category === 'favorites') {
+      setFavoritesOnly(current => !current);
+      return;
+    }
+    setSelectedCategories(current =>
+      current.includes(category)
+        ? current.filter(key => key !== category)
+        : [...current, category]
+    );
   };
 
   /**
@@ -226,26 +452,83 @@ export default function Home() {
    */
   const handleSearchChange = (query) => {
     setSearchQuery(query);
-    if (query.trim()) {
-      setSelectedCategory('all'); // Reset category when searching
+  };
+
+  /**
+   * Apply options chosen in the sort & filter sheet and remember them
+   * @param {Object} options - Sort order, price range, dietary filters and hideUnavailable
+   */
+  const handleApplyMenuOptions = async (options) => {
+    setMenuOptions(options);
+    setIsSortSheetVisible(false);
+    try {
+      const { sort, minPrice, maxPrice, hideUnavailable } = options;
+      await AsyncStorage.setItem(MENU_OPTIONS_KEY, JSON.stringify({ sort, minPrice, maxPrice, hideUnavailable }));
+    } catch (err) {
+      console.error('Error saving menu options:', err);
+    }
+  };
+
+  // Highlight the sort button when anything other than the defaults is applied
+  const hasCustomMenuOptions =
+    menuOptions.sort !== DEFAULT_MENU_OPTIONS.sort ||
+    menuOptions.minPrice !== null ||
+    menuOptions.maxPrice !== null ||
+    menuOptions.dietary.length > 0 ||
+    menuOptions.hideUnavailable;
+
+  /**
+   * Check whether a category chip is shown as active
+   * @param {string} category - Category key
+   */
+  const isCategoryActive = (category) => {
+    if (category === 'all') return selectedCategories.length === 0 && !favoritesOnly;
+    if (category === 'favorites') return favoritesOnly;
+    return selectedCategories.includes(category);
+  };
+
+  /**
+   * Mark or unmark a dish as a favorite
+   * @param {Object} item - Menu item from the list
+   */
+  const handleToggleFavorite = async (item) => {
+    try {
+      await setFavorite(item.name, !item.isFavorite);
+      setFavoritesVersion(version => version + 1);
+    } catch (err) {
+      console.error('Error saving favorite:', err);
+      Alert.alert('Could not save favorite', 'Please try again.');
     }
   };
 
+  /**
+   * Apply the "Did you mean" suggestion
+   * Skips the debounce since the user picked the text explicitly
+   */
+  const handleSuggestionPress = () => {
+    setSearchQuery(suggestion);
+    setDebouncedSearchQuery(suggestion);
+  };
+
   // Loading state
   if (loading) {
     return (
-        <View style={styles.container}>
+        <View style={styles.centered}>
           <ActivityIndicator animating={true} />
           <Text>Loading menu...</Text>
         </View>
     );
   }
 
-  // Error state
+  // Error state, only reached when there is no menu to show at all
   if (error) {
     return (
-        <View style={styles.container}>
-          <Text>Error: {error}</Text>
+        <View style={styles.centered}>
+          <Text style={styles.errorTitle}>The menu could not be loaded</Text>
+          <Text style={styles.errorText}>{getErrorMessage(error)}</Text>
+          <Button mode="contained" onPress={initializeApp} buttonColor="#495E57" textColor="#F4CE14">
+            Try again
+          </Button>
         </View>
     );
   }
@@ -262,13 +545,39 @@ export default function Home() {
         <View style={styles.headerTextContainer}>
           <Text style={styles.headerTitle}>Little Lemon</Text>
         </View>
+        <View>
+          <IconButton
+            icon="cart-outline"
+            iconColor="#F4CE14"
+            onPress={() => navigation.navigate('Cart')}
+            accessibilityLabel="Open cart"
+          />
+          {cartCount > 0 && (
+            <Badge style={styles.cartBadge} size={18}>{cartCount}</Badge>
+          )}
+        </View>
         <TouchableOpacity onPress={() => navigation.navigate('Profile')}>
-          <Image
-            source={avatar ? { uri: avatar } : require('../assets/lemon_logo.png')}
+          <UserAvatar
+            avatar={profile.avatar}
+            firstName={profile.firstName}
+            lastName={profile.lastName}
+            size={35}
             style={styles.headerAvatar}
           />
         </TouchableOpacity>
       </View>
+
+      {/* Shown while the menu on screen could not be refreshed */}
+      <Banner
+        visible={staleMenu !== null}
+        icon="cloud-off-outline"
+        actions={[
+          { label: 'Retry', onPress: handleRefresh, textColor: '#495E57', disabled: isRefreshing },
+          { label: 'Dismiss', onPress: () => setStaleMenu(null), textColor: '#495E57' },
+        ]}
+      >
+        {staleMenu ? describeStaleMenu(staleMenu) : ''}
+      </Banner>
       
       {/* Restaurant introduction section */}
       <View style={styles.introSection}>
@@ -278,6 +587,16 @@ export default function Home() {
           <Text>
             We are a family owned Mediterranean restaurant, focused on traditional recipes served with a modern twist.
           </Text>
+          <Button
+            mode="contained"
+            onPress={() => navigation.navigate('Reservations')}
+            style={styles.reserveButton}
+            buttonColor="#F4CE14"
+            textColor="black"
+            compact
+          >
+            Reserve a table
+          </Button>
         </View>
         <Image
           source={require('../assets/restaurant.png')}
@@ -286,7 +605,7 @@ export default function Home() {
         />
       </View>
       
-      {/* Search bar */}
+      {/* Search bar with sort & filter button */}
       <View style={styles.searchContainer}>
         <Searchbar
           placeholder="Search menu items..."
@@ -295,46 +614,133 @@ export default function Home() {
           style={styles.searchBar}
           iconColor="#495E57"
         />
+        <IconButton
+          icon="tune-variant"
+          iconColor={hasCustomMenuOptions ? '#F4CE14' : '#495E57'}
+          containerColor={hasCustomMenuOptions ? '#495E57' : '#f5f5f5'}
+          onPress={() => setIsSortSheetVisible(true)}
+          accessibilityLabel="Sort and filter"
+        />
       </View>
       
+      {/* Spelling suggestion when the exact search finds nothing */}
+      {suggestion && (
+        <TouchableOpacity style={styles.suggestionRow} onPress={handleSuggestionPress}>
+          <Text style={styles.suggestionText}>
+            Did you mean <Text style={styles.suggestionTerm}>{suggestion}</Text>?
+          </Text>
+        </TouchableOpacity>
+      )}
+      
       {/* Category filter buttons */}
       <View style={styles.categoryContainer}>
-        {categories.map((category) => (
-          <TouchableOpacity
-            key={category.key}
-            style={[
-              styles.categoryButton,
-              selectedCategory === category.key && styles.categoryButtonActive
-            ]}
-            onPress={() => handleCategoryPress(category.key)}
-          >
-            <Text style={[
-              styles.categoryButtonText,
-              selectedCategory === category.key && styles.categoryButtonTextActive
-            ]}>
-              {category.label}
-            </Text>
-          </TouchableOpacity>
-        ))}
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.categoryScrollContent}
+        >
+          {categories.map((category) => (
+            <TouchableOpacity
+              key={category.key}
+              style={[
+                styles.categoryButton,
+                isCategoryActive(category.key) && styles.categoryButtonActive
+              ]}
+              onPress={() => handleCategoryPress(category.key)}
+            >
+              <Text style={[
+                styles.categoryButtonText,
+                isCategoryActive(category.key) && styles.categoryButtonTextActive
+              ]}>
+                {category.label} ({category.count})
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
       </View>
 
-      {/* Menu items list grouped by category */}
+      {/* Menu items list grouped by category, today's specials first */}
       <SectionList
         sections={sections}
-        keyExtractor={(item, index) => item.name + index}
+        keyExtractor={(item) => String(item.id)}
+        renderSectionHeader={({ section }) => (
+          section.key === 'specials' ? (
+            <View style={styles.specialsHeader}>
+              <Icon source="star" size={18} color="#F4CE14" />
+              <Text style={styles.specialsTitle}>{section.title}</Text>
+            </View>
+          ) : null
+        )}
         renderItem={({ item }) => (
-          <View style={styles.itemContainer}>
-            <Text style={styles.itemName}>{item.name}</Text>
-            <Text style={styles.itemPrice}>${item.price}</Text>
-            <Text style={styles.itemDescription}>{item.description}</Text>
-            <Image
-              source={{ uri: `https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/images/${item.image}` }}
-              style={styles.itemImage}
+          <TouchableOpacity
+            style={[styles.itemContainer, (!item.available || !item.servedNow) && styles.itemUnavailable]}
+            onPress={() => navigation.navigate('MenuItem', { id: item.id })}
+          >
+            <View style={styles.itemHeader}>
+              <View style={styles.itemNameContainer}>
+                <HighlightedText style={styles.itemName} text={item.nameHighlighted ?? item.name} />
+              </View>
+              <IconButton
+                icon={item.isFavorite ? 'heart' : 'heart-outline'}
+                iconColor={item.isFavorite ? '#FF2400' : '#495E57'}
+                size={20}
+                style={styles.favoriteButton}
+                onPress={() => handleToggleFavorite(item)}
+                accessibilityLabel={item.isFavorite ? `Remove ${item.name} from favorites` : `Add ${item.name} to favorites`}
+              />
+            </View>
+            <View style={styles.itemPriceRow}>
+              <Text style={styles.itemPrice}>${item.price}</Text>
+              {!item.available && <Text style={styles.soldOutLabel}>Sold out</Text>}
+            </View>
+            {!item.servedNow && (
+              <Text style={styles.servingTimes}>Not served now · {describeAvailability(item)}</Text>
+            )}
+            <DietaryBadges tags={item.dietaryTags} style={styles.itemBadges} />
+            {/* Full description is on the detail screen */}
+            <HighlightedText
+              style={styles.itemDescription}
+              text={item.descriptionHighlighted ?? item.description}
+              numberOfLines={2}
             />
-          </View>
+            <MenuImage image={item.image} style={styles.itemImage} />
+          </TouchableOpacity>
         )}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            colors={['#495E57']}
+            tintColor="#495E57"
+          />
+        }
+        ListEmptyComponent={
+          listError ? (
+            <View style={styles.listMessage}>
+              <Text style={styles.errorText}>{getErrorMessage(listError)}</Text>
+              <Button
+                mode="outlined"
+                onPress={() => loadMenu(debouncedSearchQuery, selectedCategories, menuOptions, favoritesOnly)}
+                textColor="#495E57"
+              >
+                Try again
+              </Button>
+            </View>
+          ) : favoritesOnly ? (
+            <View style={styles.listMessage}>
+              <Text style={styles.errorText}>No favorites here yet. Tap the heart on a dish to save it.</Text>
+            </View>
+          ) : null
+        }
         contentContainerStyle={styles.listContainer}
       />
+
+      <SortFilterSheet
+        visible={isSortSheetVisible}
+        options={menuOptions}
+        onApply={handleApplyMenuOptions}
+        onClose={() => setIsSortSheetVisible(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -344,6 +750,28 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#e0e0e0',
   },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#e0e0e0',
+  },
+  errorTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#495E57',
+    marginBottom: 8,
+  },
+  errorText: {
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  listMessage: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
   headerRow: {
     backgroundColor: '#495E57',
     paddingTop: 10,
@@ -367,27 +795,46 @@ const styles = StyleSheet.create({
     marginBottom: 2,
   },
   searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
     padding: 6,
     backgroundColor: '#fff',
     borderBottomWidth: 1,
     borderBottomColor: '#e0e0e0',
   },
   searchBar: {
+    flex: 1,
     backgroundColor: '#f5f5f5',
     borderRadius: 10,
     elevation: 0,
   },
+  suggestionRow: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  suggestionText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  suggestionTerm: {
+    fontWeight: 'bold',
+    fontStyle: 'italic',
+    color: '#495E57',
+  },
   categoryContainer: {
-    flexDirection: 'row',
-    padding: 8,
     backgroundColor: '#fff',
     borderBottomWidth: 1,
     borderBottomColor: '#e0e0e0',
   },
+  categoryScrollContent: {
+    padding: 8,
+  },
   categoryButton: {
-    flex: 1,
     paddingVertical: 6,
-    paddingHorizontal: 10,
+    paddingHorizontal: 14,
     marginHorizontal: 2,
     borderRadius: 15,
     backgroundColor: '#f5f5f5',
@@ -419,21 +866,72 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 2,
   },
+  itemUnavailable: {
+    opacity: 0.5,
+  },
+  specialsHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginBottom: 6,
+    backgroundColor: '#e0e0e0',
+  },
+  specialsTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#495E57',
+    marginLeft: 6,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  itemNameContainer: {
+    flex: 1,
+  },
+  favoriteButton: {
+    margin: 0,
+    marginTop: -6,
+    marginRight: -6,
+  },
   itemName: {
     fontSize: 16,
     fontWeight: 'bold',
     color: '#222',
     marginBottom: 6,
   },
+  itemPriceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
   itemPrice: {
     fontSize: 14,
     color: '#388e3c',
+  },
+  soldOutLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#FF2400',
+    marginLeft: 8,
+  },
+  servingTimes: {
+    fontSize: 12,
+    color: '#555',
     marginBottom: 6,
   },
+  itemBadges: {
+    marginBottom: 2,
+  },
   itemDescription: {
     fontSize: 13,
     color: '#555',
   },
+  highlight: {
+    backgroundColor: '#F4CE14',
+    color: '#222',
+    fontWeight: 'bold',
+  },
   itemImage: {
     width: '100%', 
     height: 120, 
@@ -462,17 +960,24 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 12,
   },
+  reserveButton: {
+    marginTop: 12,
+    alignSelf: 'flex-start',
+  },
   introImage: {
     width: 100,
     height: 110,
     borderRadius: 8,
     marginLeft: 20,
   },
+  cartBadge: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    backgroundColor: '#F4CE14',
+    color: '#333',
+  },
   headerAvatar: {
-    width: 35,
-    height: 35,
-    borderRadius: 18,
-    backgroundColor: '#fff',
     marginRight: 12,
   },
 });
\ No newline at end of file
@@ -0,0 +1,313 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Button, ActivityIndicator, IconButton, Icon } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { initializeDatabase, getMenuItemById, incrementPopularity, addToCart, setFavorite } from '../database';
+import { formatPrice } from '../pricing';
+import { getErrorMessage } from '../errors';
+import { isServedAt, isSpecialOn, describeAvailability } from '../availability';
+import QuantityStepper from '../components/QuantityStepper';
+import MenuImage from '../components/MenuImage';
+import DietaryBadges from '../components/DietaryBadges';
+
+/**
+ * Menu Item Screen - Details of a single dish
+ *
+ * Opened by tapping an item on the Home screen, or through a deep link
+ * (littlelemon://menu/<id>). It displays:
+ * - Large image of the dish
+ * - Name, category, price and the full description
+ * - Diet and allergen badges, with a note when allergens were detected from the description
+ * - Quantity selector with an add-to-order button that fills the cart,
+ *   disabled while the dish is sold out or not served right now
+ * - Heart toggle to save the dish as a favorite
+ * - Serving times, whether the dish is served right now, and a "Today's special" label
+ *
+ * Key Features:
+ * - Loads the item by id from SQLite, so it works without the Home screen
+ * - Shows a friendly message when the dish is no longer on the menu
+ * - Opening a dish counts towards its popularity
+ */
+
+const MAX_QUANTITY = 20; // Upper limit for a single add-to-order
+
+export default function MenuItem({ route, navigation }) {
+    const id = Number(route.params?.id); // Deep links pass the id as a string
+    const [item, setItem] = useState(null); // Menu item being shown
+    const [loading, setLoading] = useState(true); // Loading state while reading the database
+    const [error, setError] = useState(null); // Error or "not found" message
+    const [quantity, setQuantity] = useState(1); // Number of portions to add
+    const [isFavorite, setIsFavorite] = useState(false); // Whether the dish is saved as a favorite
+
+    /**
+     * Load the menu item by id
+     * - Makes sure the database is ready in case the app was opened by a deep link
+     * - Counts the visit for the "Popular" sort
+     */
+    useEffect(() => {
+        const loadItem = async () => {
+            try {
+                await initializeDatabase();
+                const menuItem = await getMenuItemById(id);
+
+                if (!menuItem) {
+                    setError('This dish is no longer on the menu.');
+                    return;
+                }
+
+                setItem(menuItem);
+                setIsFavorite(Boolean(menuItem.isFavorite));
+                navigation.setOptions({ title: menuItem.name });
+                await incrementPopularity(id);
+            } catch (err) {
+                console.error('Error loading menu item:', err);
+                setError(getErrorMessage(err));
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadItem();
+    }, [id]);
+
+    /**
+     * Mark or unmark the dish as a favorite
+     */
+    const handleToggleFavorite = async () => {
+        try {
+            await setFavorite(item.name, !isFavorite);
+            setIsFavorite(!isFavorite);
+        } catch (err) {
+            console.error('Error saving favorite:', err);
+            Alert.alert('Could not save favorite', 'Please try again.');
+        }
+    };
+
+    /**
+     * Add the selected quantity to the cart
+     * Offers to open the cart or go back to the menu
+     */
+    const handleAddToOrder = async () => {
+        try {
+            await addToCart(item.id, quantity);
+        } catch (err) {
+            console.error('Error adding to cart:', err);
+            Alert.alert('Could not add to order', 'Please try again.');
+            return;
+        }
+
+        Alert.alert('Added to order', `${quantity} × ${item.name}`, [
+            {
+                text: 'View cart',
+                onPress: () => navigation.navigate('Cart'),
+            },
+            {
+                text: 'Keep browsing',
+                onPress: () => navigation.goBack(),
+            },
+        ]);
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    // Error or not-found state
+    if (error) {
+        return (
+            <View style={styles.centered}>
+                <Text style={styles.errorText}>{error}</Text>
+                <Button mode="outlined" onPress={() => navigation.navigate('Home')} textColor="#495E57">
+                    Back to menu
+                </Button>
+            </View>
+        );
+    }
+
+    const servedNow = isServedAt(item, new Date()); // Outside its meal periods or days the dish cannot be ordered
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <ScrollView contentContainerStyle={styles.content}>
+                {/* Large dish image */}
+                <MenuImage image={item.image} style={styles.image} />
+
+                {/* Dish information */}
+                <View style={styles.details}>
+                    <View style={styles.titleRow}>
+                        <View style={styles.titleText}>
+                            <Text style={styles.category}>{item.category}</Text>
+                            <Text style={styles.name}>{item.name}</Text>
+                        </View>
+                        <IconButton
+                            icon={isFavorite ? 'heart' : 'heart-outline'}
+                            iconColor={isFavorite ? '#FF2400' : '#495E57'}
+                            size={26}
+                            onPress={handleToggleFavorite}
+                            accessibilityLabel={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+                        />
+                    </View>
+                    <Text style={styles.price}>
+                        {formatPrice(item.price)}
+                        {!item.available && <Text style={styles.soldOut}>  ·  Sold out</Text>}
+                    </Text>
+                    {isSpecialOn(item, new Date()) && (
+                        <View style={styles.special}>
+                            <Icon source="star" size={14} color="#333" />
+                            <Text style={styles.specialText}>Today's special</Text>
+                        </View>
+                    )}
+                    {describeAvailability(item) && (
+                        <Text style={styles.servingTimes}>
+                            Served: {describeAvailability(item)}
+                            {!servedNow ? ' · Not served right now' : ''}
+                        </Text>
+                    )}
+                    <DietaryBadges tags={item.dietaryTags} style={styles.badges} />
+                    {item.dietarySource === 'detected' && (
+                        <Text style={styles.dietaryNote}>
+                            Allergens are read from the description and may be incomplete. Please ask our staff about allergies.
+                        </Text>
+                    )}
+                    <Text style={styles.description}>{item.description}</Text>
+                </View>
+            </ScrollView>
+
+            {/* Quantity selector and add-to-order button */}
+            <View style={styles.orderBar}>
+                <View style={styles.quantityControl}>
+                    <QuantityStepper value={quantity} onChange={setQuantity} max={MAX_QUANTITY} />
+                </View>
+                <Button
+                    mode="contained"
+                    onPress={handleAddToOrder}
+                    disabled={!item.available || !servedNow}
+                    style={styles.addButton}
+                    buttonColor="#F4CE14"
+                    textColor="black"
+                >
+                    {!item.available
+                        ? 'Sold out'
+                        : !servedNow
+                            ? 'Not served now'
+                            : `Add to order · ${formatPrice(Number(item.price) * quantity)}`}
+                </Button>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        backgroundColor: '#e0e0e0',
+    },
+    errorText: {
+        fontSize: 16,
+        color: '#333',
+        marginBottom: 16,
+        textAlign: 'center',
+    },
+    content: {
+        paddingBottom: 24,
+    },
+    image: {
+        width: '100%',
+        height: 260,
+        backgroundColor: '#fff',
+    },
+    details: {
+        backgroundColor: '#fff',
+        margin: 15,
+        borderRadius: 8,
+        padding: 16,
+    },
+    titleRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+    },
+    titleText: {
+        flex: 1,
+    },
+    category: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#495E57',
+        textTransform: 'uppercase',
+        marginBottom: 4,
+    },
+    name: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#222',
+        marginBottom: 6,
+    },
+    price: {
+        fontSize: 18,
+        color: '#388e3c',
+        marginBottom: 12,
+    },
+    soldOut: {
+        color: '#FF2400',
+        fontWeight: 'bold',
+    },
+    special: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'flex-start',
+        backgroundColor: '#F4CE14',
+        borderRadius: 10,
+        paddingVertical: 2,
+        paddingHorizontal: 8,
+        marginBottom: 8,
+    },
+    specialText: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#333',
+        marginLeft: 4,
+    },
+    servingTimes: {
+        fontSize: 13,
+        color: '#555',
+        marginBottom: 8,
+    },
+    badges: {
+        marginBottom: 4,
+    },
+    dietaryNote: {
+        fontSize: 12,
+        color: '#777',
+        marginBottom: 12,
+    },
+    description: {
+        fontSize: 15,
+        lineHeight: 22,
+        color: '#555',
+    },
+    orderBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 12,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e0e0e0',
+    },
+    quantityControl: {
+        marginRight: 12,
+    },
+    addButton: {
+        flex: 1,
+    },
+});
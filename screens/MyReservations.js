@@ -0,0 +1,209 @@
+import React, { useCallback, useState } from 'react';
+import { View, StyleSheet, SectionList, Alert } from 'react-native';
+import { Text, Button, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { initializeDatabase, getReservations, cancelReservation } from '../database';
+import { getErrorMessage } from '../errors';
+import { isUpcoming, toDate } from '../reservations';
+
+/**
+ * My Reservations Screen - Upcoming and past bookings
+ *
+ * Reachable from the Profile screen. It displays:
+ * - Upcoming bookings, soonest first, with Modify and Cancel actions
+ * - Past and cancelled bookings, most recent first
+ */
+
+/**
+ * Format a reservation's date and time for display
+ * @param {Object} reservation - Reservation with date and time
+ * @returns {string} e.g. "Mon, Oct 20, 7:30 PM"
+ */
+function formatReservationTime(reservation) {
+    return toDate(reservation.date, reservation.time).toLocaleString([], {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit',
+    });
+}
+
+export default function MyReservations({ navigation }) {
+    const [sections, setSections] = useState([]); // Upcoming and past reservations
+    const [loading, setLoading] = useState(true); // Loading state for the first read
+
+    /**
+     * Load reservations and split them into upcoming and past
+     */
+    const loadReservations = async () => {
+        try {
+            await initializeDatabase();
+            const reservations = await getReservations();
+            const now = new Date();
+
+            const upcoming = reservations.filter(entry => entry.status === 'booked' && isUpcoming(entry, now));
+            const past = reservations
+                .filter(entry => !upcoming.includes(entry))
+                .reverse();
+
+            setSections([
+                { title: 'Upcoming', data: upcoming },
+                { title: 'Past & cancelled', data: past },
+            ].filter(section => section.data.length > 0));
+        } catch (err) {
+            console.error('Error loading reservations:', err);
+            Alert.alert('Could not load reservations', getErrorMessage(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Reload whenever the screen is shown, a booking may have just been modified
+    useFocusEffect(
+        useCallback(() => {
+            loadReservations();
+        }, [])
+    );
+
+    /**
+     * Cancel a booking after confirmation
+     * @param {Object} reservation - Reservation to cancel
+     */
+    const handleCancel = (reservation) => {
+        Alert.alert('Cancel reservation', `Cancel your table on ${formatReservationTime(reservation)}?`, [
+            { text: 'Keep it', style: 'cancel' },
+            {
+                text: 'Cancel reservation',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        await cancelReservation(reservation.id);
+                        await loadReservations();
+                    } catch (err) {
+                        console.error('Error cancelling reservation:', err);
+                        Alert.alert('Could not cancel reservation', getErrorMessage(err));
+                    }
+                },
+            },
+        ]);
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    // Empty state
+    if (sections.length === 0) {
+        return (
+            <View style={styles.centered}>
+                <Text style={styles.emptyText}>You have no reservations yet</Text>
+                <Button mode="contained" onPress={() => navigation.navigate('Reservations')} buttonColor="#495E57" textColor="#F4CE14">
+                    Book a table
+                </Button>
+            </View>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <SectionList
+                sections={sections}
+                keyExtractor={(reservation) => String(reservation.id)}
+                contentContainerStyle={styles.listContainer}
+                renderSectionHeader={({ section }) => (
+                    <Text style={styles.sectionHeader}>{section.title}</Text>
+                )}
+                renderItem={({ item: reservation, section }) => (
+                    <View style={[styles.reservation, section.title !== 'Upcoming' && styles.reservationPast]}>
+                        <Text style={styles.reservationTime}>{formatReservationTime(reservation)}</Text>
+                        <Text style={styles.reservationMeta}>
+                            {reservation.partySize} {reservation.partySize === 1 ? 'guest' : 'guests'}
+                            {reservation.occasion ? ` · ${reservation.occasion}` : ''}
+                            {reservation.status === 'cancelled' ? ' · Cancelled' : ''}
+                        </Text>
+
+                        {/* Actions are only offered for upcoming bookings */}
+                        {section.title === 'Upcoming' && (
+                            <View style={styles.actions}>
+                                <Button
+                                    mode="outlined"
+                                    onPress={() => navigation.navigate('Reservations', { id: reservation.id })}
+                                    style={styles.modifyButton}
+                                    textColor="#495E57"
+                                >
+                                    Modify
+                                </Button>
+                                <Button mode="text" onPress={() => handleCancel(reservation)} textColor="#FF2400">
+                                    Cancel
+                                </Button>
+                            </View>
+                        )}
+                    </View>
+                )}
+            />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        backgroundColor: '#e0e0e0',
+    },
+    emptyText: {
+        fontSize: 18,
+        color: '#495E57',
+        marginBottom: 16,
+    },
+    listContainer: {
+        padding: 15,
+    },
+    sectionHeader: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 8,
+        marginTop: 4,
+    },
+    reservation: {
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 12,
+    },
+    reservationPast: {
+        opacity: 0.6,
+    },
+    reservationTime: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#222',
+    },
+    reservationMeta: {
+        fontSize: 13,
+        color: '#555',
+        marginTop: 2,
+    },
+    actions: {
+        flexDirection: 'row',
+        marginTop: 10,
+    },
+    modifyButton: {
+        borderColor: '#495E57',
+        marginRight: 8,
+    },
+});
@@ -1,54 +1,121 @@
 import React, { useState } from 'react';
-import { View, StyleSheet, Image, Keyboard, TouchableWithoutFeedback, Text } from 'react-native';
-import { TextInput, Button } from 'react-native-paper';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { View, StyleSheet, Image, Keyboard, TouchableWithoutFeedback, Text, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { TextInput, Button, IconButton, HelperText } from 'react-native-paper';
+import { useSession } from '../session';
+import UserAvatar from '../components/UserAvatar';
+import { validateName, validateEmail, validatePassword, PASSWORD_MIN_LENGTH } from '../validation';
+import { getErrorMessage } from '../errors';
 
 /**
  * Onboarding Screen - User Registration/Login
  * 
  * This is the first screen users see when they haven't logged in yet. It handles:
- * - User registration with first name and email
+ * - Creating an account with first name, email and password
+ * - Signing in to an existing account
+ * - Picking an account that already signed in on this device
  * - Input validation for proper formatting
- * - Storing user credentials in AsyncStorage
+ * - Signing the user in through the session store (auth backend)
  * - Automatic navigation to Home screen after successful login
  * 
  * Key Features:
- * - Real-time validation with visual feedback
+ * - Account picker listing previously signed-in users
+ * - Errors from the auth backend shown below the form
+ * - Validation shared with Profile, with messages below the fields
  * - Keyboard dismissal on tap outside inputs
  * - Automatic login state management
  * - Consistent styling with app theme
  */
 
 export default function Onboarding({ navigation }) {
+    const { profiles, signUp, signIn, forgetAccount } = useSession(); // Saved accounts and session actions
+    const [showAccounts, setShowAccounts] = useState(true); // Show the account picker instead of the form when accounts exist
+    const [mode, setMode] = useState('signUp'); // 'signUp' or 'signIn'
+
     // Form state management
     const [firstName, setFirstName] = useState(''); // User's first name
     const [email, setEmail] = useState(''); // User's email address
+    const [password, setPassword] = useState(''); // Account password
     const [firstNameTouched, setFirstNameTouched] = useState(false); // Track if first name field was touched for validation
+    const [emailTouched, setEmailTouched] = useState(false); // Track if email field was touched for validation
+    const [submitting, setSubmitting] = useState(false); // Waiting for the auth backend
+    const [authError, setAuthError] = useState(''); // Error returned by the auth backend
 
-    // Validation functions - check if inputs meet requirements
-    const isFirstNameValid = /^[A-Za-z]+$/.test(firstName); // Only letters allowed
-    const isEmailValid = /^(([^<>()[\]\\.,;:\s@"]+(\.[^<>()[\]\\.,;:\s@"]+)*)|.(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/.test(email); // Email format validation
+    // Validation messages, null when the input is fine
+    const firstNameError = mode === 'signUp' ? validateName(firstName, { label: 'First name' }) : null;
+    const emailError = validateEmail(email);
+    const passwordError = validatePassword(password, { isNew: mode === 'signUp' }); // New passwords need a minimum length
+    const isFormValid = !firstNameError && !emailError && !passwordError;
 
     /**
      * Handle login/registration process
-     * - Validates both inputs are correct
-     * - Stores user data in AsyncStorage
-     * - Sets login flag to trigger navigation to Home
+     * - Validates the inputs of the current mode
+     * - Creates the account or signs in against the auth backend
+     * - The session switches the navigator to the Home screen right away
      */
     const handleNext = async () => {
-        if (isFirstNameValid && isEmailValid) {
-            await AsyncStorage.setItem('firstName', firstName);
-            await AsyncStorage.setItem('email', email);
-            await AsyncStorage.setItem('isLoggedIn', 'true');
-            
-            // The App component will automatically re-render and show the Home screen
-            // No need to navigate manually
+        if (!isFormValid || submitting) return;
+
+        setSubmitting(true);
+        setAuthError('');
+        try {
+            if (mode === 'signUp') {
+                await signUp({ firstName, email, password });
+            } else {
+                await signIn({ email, password });
+            }
+        } catch (error) {
+            setAuthError(getErrorMessage(error));
+            setSubmitting(false);
         }
     };
 
+    /**
+     * Switch between creating an account and signing in
+     * @param {string} nextMode - 'signUp' or 'signIn'
+     */
+    const handleModeChange = (nextMode) => {
+        setMode(nextMode);
+        setPassword('');
+        setAuthError('');
+    };
+
+    /**
+     * Sign in as a saved account, only the password is left to enter
+     * @param {Object} account - Profile picked from the list
+     */
+    const handleSwitchAccount = (account) => {
+        setEmail(account.email || '');
+        handleModeChange('signIn');
+        setShowAccounts(false);
+    };
+
+    /**
+     * Remove a saved account from this device after confirmation
+     * @param {Object} account - Profile to remove
+     */
+    const handleForgetAccount = (account) => {
+        Alert.alert('Remove account', `Remove ${account.firstName || account.email} and their saved details from this device?`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Remove',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        await forgetAccount(account.id);
+                    } catch (error) {
+                        console.error('Error removing account:', error);
+                        Alert.alert('Could not remove account', getErrorMessage(error));
+                    }
+                },
+            },
+        ]);
+    };
+
+    const isPickingAccount = showAccounts && profiles.length > 0;
+
     return (
         <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
-            <View style={styles.container}>
+            <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
                 {/* App header with logo and title */}
                 <View style={styles.headerContainer}>
                     <Image
@@ -61,50 +128,143 @@ export default function Onboarding({ navigation }) {
                     </Text>
                 </View>
                 
-                {/* Welcome message */}
-                <Text style={styles.subHeaderText}>Let us get to know you</Text>
-
-                {/* First Name input with validation */}
-                <TextInput
-                    mode="outlined"
-                    label="First Name"
-                    style={styles.input}
-                    value={firstName}
-                    onChangeText={setFirstName}
-                    onBlur={() => setFirstNameTouched(true)} // Trigger validation on blur
-                    error={firstNameTouched && !isFirstNameValid} // Show error if touched and invalid
-                />
-                
-                {/* Email input with validation */}
-                <TextInput
-                    mode="outlined"
-                    label="Email"
-                    keyboardType="email-address"
-                    style={styles.input}
-                    value={email}
-                    onChangeText={setEmail}
-                    error={email.length > 0 && !isEmailValid} // Show error if entered and invalid
-                    autoCapitalize="none" // Prevent auto-capitalization for email
-                />
-                
-                {/* Login button - disabled until both inputs are valid */}
-                <Button
-                    mode="contained"
-                    onPress={handleNext}
-                    style={styles.button}
-                    labelStyle={{color: 'black'}}
-                    buttonColor={isFirstNameValid && isEmailValid ? '#F4CE14' : '#A9A9A9'} // Yellow when valid, gray when invalid
-                >
-                    Login
-                </Button>
-            </View>
+                {isPickingAccount ? (
+                    <>
+                        {/* Account picker */}
+                        <Text style={styles.subHeaderText}>Welcome back</Text>
+                        {profiles.map((account) => (
+                            <TouchableOpacity
+                                key={account.id}
+                                style={styles.account}
+                                onPress={() => handleSwitchAccount(account)}
+                                onLongPress={() => handleForgetAccount(account)}
+                            >
+                                <UserAvatar
+                                    avatar={account.avatar}
+                                    firstName={account.firstName}
+                                    lastName={account.lastName}
+                                    size={44}
+                                    style={styles.accountAvatar}
+                                />
+                                <View style={styles.accountDetails}>
+                                    <Text style={styles.accountName}>
+                                        {[account.firstName, account.lastName].filter(Boolean).join(' ')}
+                                    </Text>
+                                    <Text style={styles.accountEmail}>{account.email}</Text>
+                                </View>
+                                <IconButton
+                                    icon="close"
+                                    size={18}
+                                    onPress={() => handleForgetAccount(account)}
+                                    accessibilityLabel={`Remove ${account.firstName || account.email} from this device`}
+                                />
+                            </TouchableOpacity>
+                        ))}
+                        <Button mode="text" onPress={() => setShowAccounts(false)} textColor="#495E57" style={styles.button}>
+                            Use another account
+                        </Button>
+                    </>
+                ) : (
+                    <>
+                        {/* Welcome message */}
+                        <Text style={styles.subHeaderText}>
+                            {mode === 'signUp' ? 'Let us get to know you' : 'Sign in to continue'}
+                        </Text>
+
+                        {/* First Name input with validation, only needed for a new account */}
+                        {mode === 'signUp' && (
+                            <View style={styles.field}>
+                                <TextInput
+                                    mode="outlined"
+                                    label="First Name"
+                                    style={styles.input}
+                                    value={firstName}
+                                    onChangeText={setFirstName}
+                                    onBlur={() => setFirstNameTouched(true)} // Trigger validation on blur
+                                    error={firstNameTouched && !!firstNameError} // Show error if touched and invalid
+                                />
+                                {firstNameTouched && firstNameError && (
+                                    <HelperText type="error">{firstNameError}</HelperText>
+                                )}
+                            </View>
+                        )}
+
+                        {/* Email input with validation */}
+                        <View style={styles.field}>
+                            <TextInput
+                                mode="outlined"
+                                label="Email"
+                                keyboardType="email-address"
+                                style={styles.input}
+                                value={email}
+                                onChangeText={setEmail}
+                                onBlur={() => setEmailTouched(true)} // Trigger validation on blur
+                                error={emailTouched && !!emailError} // Show error if touched and invalid
+                                autoCapitalize="none" // Prevent auto-capitalization for email
+                            />
+                            {emailTouched && emailError && (
+                                <HelperText type="error">{emailError}</HelperText>
+                            )}
+                        </View>
+
+                        {/* Password input */}
+                        <View style={styles.field}>
+                            <TextInput
+                                mode="outlined"
+                                label={mode === 'signUp' ? `Password (at least ${PASSWORD_MIN_LENGTH} characters)` : 'Password'}
+                                style={styles.input}
+                                value={password}
+                                onChangeText={setPassword}
+                                secureTextEntry
+                                autoCapitalize="none"
+                                error={password.length > 0 && !!passwordError}
+                            />
+                            {password.length > 0 && passwordError && (
+                                <HelperText type="error">{passwordError}</HelperText>
+                            )}
+                        </View>
+
+                        {/* Error from the auth backend */}
+                        {authError ? <Text style={styles.errorText}>{authError}</Text> : null}
+
+                        {/* Login button - disabled until all inputs are valid */}
+                        <Button
+                            mode="contained"
+                            onPress={handleNext}
+                            style={styles.button}
+                            labelStyle={{color: 'black'}}
+                            loading={submitting}
+                            disabled={submitting}
+                            buttonColor={isFormValid ? '#F4CE14' : '#A9A9A9'} // Yellow when valid, gray when invalid
+                        >
+                            {mode === 'signUp' ? 'Create account' : 'Sign in'}
+                        </Button>
+
+                        {/* Toggle between creating an account and signing in */}
+                        <Button
+                            mode="text"
+                            onPress={() => handleModeChange(mode === 'signUp' ? 'signIn' : 'signUp')}
+                            textColor="#495E57"
+                        >
+                            {mode === 'signUp' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+                        </Button>
+
+                        {/* Back to the account picker */}
+                        {profiles.length > 0 && (
+                            <Button mode="text" onPress={() => setShowAccounts(true)} textColor="#495E57">
+                                Switch account
+                            </Button>
+                        )}
+                    </>
+                )}
+            </ScrollView>
         </TouchableWithoutFeedback>
     );
 }
 
 const styles = StyleSheet.create({
     container: {
-        flex: 1,
+        flexGrow: 1,
         padding: 20,
         backgroundColor: '#e0e0e0',
     },
@@ -137,11 +297,42 @@ const styles = StyleSheet.create({
         fontSize: 24,
         fontWeight: 'bold',
     },
-    input: {
+    field: {
         marginBottom: 20,
+    },
+    input: {
         backgroundColor: '#fff',
     },
     button: {
         marginTop: 20,
     },
+    errorText: {
+        color: '#FF2400',
+        fontSize: 14,
+        textAlign: 'center',
+    },
+    account: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        paddingVertical: 10,
+        paddingLeft: 12,
+        marginBottom: 12,
+    },
+    accountAvatar: {
+        marginRight: 12,
+    },
+    accountDetails: {
+        flex: 1,
+    },
+    accountName: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    accountEmail: {
+        fontSize: 13,
+        color: '#555',
+    },
 });
\ No newline at end of file
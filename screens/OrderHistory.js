@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Button, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { initializeDatabase, getOrders, reorder } from '../database';
+import { formatPrice } from '../pricing';
+import { getErrorMessage } from '../errors';
+
+/**
+ * Order History Screen - Past orders
+ *
+ * Reachable from the Profile screen. It displays:
+ * - Every placed order, newest first, with date, pickup/delivery and total
+ * - The dishes of each order
+ * - A "Reorder" action that puts the same dishes back into the cart
+ */
+
+/**
+ * Format a timestamp for the order list
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Date and time in the device locale
+ */
+function formatDateTime(time) {
+    const date = new Date(time);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+export default function OrderHistory({ navigation }) {
+    const [orders, setOrders] = useState([]); // Past orders with their lines
+    const [loading, setLoading] = useState(true); // Loading state for the first read
+
+    /**
+     * Load past orders from the database
+     */
+    useEffect(() => {
+        const loadOrders = async () => {
+            try {
+                await initializeDatabase();
+                setOrders(await getOrders());
+            } catch (err) {
+                console.error('Error loading orders:', err);
+                Alert.alert('Could not load orders', getErrorMessage(err));
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadOrders();
+    }, []);
+
+    /**
+     * Put the dishes of an order back into the cart
+     * Tells the user about dishes that are no longer on the menu
+     * @param {Object} order - Order to repeat
+     */
+    const handleReorder = async (order) => {
+        try {
+            const { added, unavailable } = await reorder(order.id);
+
+            if (added === 0) {
+                Alert.alert('Nothing to reorder', 'None of these dishes are available right now.');
+                return;
+            }
+
+            const message = unavailable.length > 0
+                ? `Some dishes are sold out or no longer on the menu: ${unavailable.join(', ')}`
+                : 'The dishes from this order are in your cart.';
+            Alert.alert('Added to cart', message, [
+                { text: 'View cart', onPress: () => navigation.navigate('Cart') },
+                { text: 'OK', style: 'cancel' },
+            ]);
+        } catch (err) {
+            console.error('Error reordering:', err);
+            Alert.alert('Could not reorder', getErrorMessage(err));
+        }
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    // Empty state
+    if (orders.length === 0) {
+        return (
+            <View style={styles.centered}>
+                <Text style={styles.emptyText}>You have not placed any orders yet</Text>
+                <Button mode="contained" onPress={() => navigation.navigate('Home')} buttonColor="#495E57" textColor="#F4CE14">
+                    Browse menu
+                </Button>
+            </View>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <FlatList
+                data={orders}
+                keyExtractor={(order) => String(order.id)}
+                contentContainerStyle={styles.listContainer}
+                renderItem={({ item: order }) => (
+                    <View style={styles.order}>
+                        {/* Order header */}
+                        <View style={styles.orderHeader}>
+                            <Text style={styles.orderDate}>{formatDateTime(order.createdAt)}</Text>
+                            <Text style={styles.orderTotal}>{formatPrice(order.total)}</Text>
+                        </View>
+                        <Text style={styles.orderMeta}>
+                            {order.fulfillment === 'pickup' ? 'Pickup' : 'Delivery'}
+                            {order.scheduledFor ? ` · ${formatDateTime(order.scheduledFor)}` : ' · As soon as possible'}
+                        </Text>
+
+                        {/* Order lines */}
+                        {order.items.map((line, index) => (
+                            <Text key={index} style={styles.orderLine}>
+                                {line.quantity} × {line.name}
+                            </Text>
+                        ))}
+
+                        <Button
+                            mode="outlined"
+                            onPress={() => handleReorder(order)}
+                            style={styles.reorderButton}
+                            textColor="#495E57"
+                        >
+                            Reorder
+                        </Button>
+                    </View>
+                )}
+            />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        backgroundColor: '#e0e0e0',
+    },
+    emptyText: {
+        fontSize: 18,
+        color: '#495E57',
+        marginBottom: 16,
+        textAlign: 'center',
+    },
+    listContainer: {
+        padding: 15,
+    },
+    order: {
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 12,
+    },
+    orderHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 2,
+    },
+    orderDate: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#222',
+    },
+    orderTotal: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#388e3c',
+    },
+    orderMeta: {
+        fontSize: 12,
+        color: '#495E57',
+        marginBottom: 8,
+    },
+    orderLine: {
+        fontSize: 14,
+        color: '#555',
+    },
+    reorderButton: {
+        marginTop: 10,
+        borderColor: '#495E57',
+        alignSelf: 'flex-start',
+    },
+});
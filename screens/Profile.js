@@ -1,91 +1,153 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, Image, Keyboard, TouchableWithoutFeedback, Alert} from 'react-native';
-import { TextInput, Button } from 'react-native-paper';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { useState } from 'react';
+import { View, StyleSheet, Keyboard, TouchableWithoutFeedback, Alert, ScrollView } from 'react-native';
+import { TextInput, Button, HelperText, Text } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import MaskInput, { Masks } from 'react-native-mask-input';
+import MaskInput from 'react-native-mask-input';
 import * as ImagePicker from 'expo-image-picker';
+import { usePreventRemove } from '@react-navigation/native';
+import { useSession } from '../session';
+import { validateProfile, parsePhone, toE164, getCountry } from '../validation';
+import { saveAvatar, deleteAvatar, isStoredAvatar } from '../avatarStorage';
+import CountryPicker from '../components/CountryPicker';
+import UserAvatar from '../components/UserAvatar';
+import DietaryPicker from '../components/DietaryPicker';
+import { sortTags } from '../dietary';
 
 /**
  * Profile Screen - User Profile Management
  * 
  * This screen allows users to view and edit their profile information:
- * - Display and change profile avatar
+ * - Display and change profile avatar, from the photo library or the camera
  * - Edit personal information (name, email, phone)
- * - Save changes to persistent storage
+ * - Set a dietary preference, applied to the menu filters by default
+ * - Save changes to persistent storage, or discard them
+ * - Access to the order history and table reservations
+ * - Entry to staff mode, where restaurant staff manage the menu behind a PIN
  * - Logout functionality
  * 
  * Key Features:
- * - Image picker integration for avatar selection
- * - Form validation and data persistence
- * - Phone number formatting with mask
+ * - Image picker and camera integration for avatar selection
+ * - Avatars are resized and kept in the app's documents, with an initials fallback
+ * - Form validation (shared with Onboarding) with inline error messages
+ * - Data persistence
+ * - Edits are compared with the last saved values: Save and Discard are only
+ *   enabled when something changed, and leaving with unsaved changes asks first
+ * - Phone number formatting per country, stored in E.164
  * - Keyboard-aware layout
  * - Consistent styling with app theme
  */
 
-const placeholderAvatar = require('../assets/lemon_logo.png'); // Default avatar image
+/**
+ * Take the editable fields of a stored profile
+ * @param {Object} profile - Stored profile
+ * @returns {Object} Form values, empty strings (or null avatar) for missing fields
+ */
+function toFormValues(profile) {
+    const { countryCode, digits } = parsePhone(profile.phone, profile.phoneCountry);
+    return {
+        avatar: profile.avatar || null,
+        firstName: profile.firstName || '',
+        lastName: profile.lastName || '',
+        email: profile.email || '',
+        phoneCountry: countryCode,
+        phoneDigits: digits,
+        dietary: sortTags(profile.dietary || []),
+    };
+}
 
 export default function Profile({ navigation }) {
+    const { profile, logout, update } = useSession(); // Stored profile and session actions
+
     // Form state management
-    const [avatar, setAvatar] = useState(null); // User's profile image URI
-    const [firstName, setFirstName] = useState(''); // User's first name
-    const [lastName, setLastName] = useState(''); // User's last name
-    const [email, setEmail] = useState(''); // User's email address
-    const [phone, setPhone] = useState(''); // User's phone number
+    const [saved, setSaved] = useState(() => toFormValues(profile)); // Snapshot of the last saved values
+    const [avatar, setAvatar] = useState(saved.avatar); // User's profile image URI
+    const [firstName, setFirstName] = useState(saved.firstName); // User's first name
+    const [lastName, setLastName] = useState(saved.lastName); // User's last name
+    const [email, setEmail] = useState(saved.email); // User's email address
+    const [phoneCountry, setPhoneCountry] = useState(saved.phoneCountry); // Country of the phone number
+    const [phoneDigits, setPhoneDigits] = useState(saved.phoneDigits); // Phone number in national format, digits only
+    const [dietary, setDietary] = useState(saved.dietary); // Diets to keep and allergens to leave out on the menu
+    const [saving, setSaving] = useState(false); // Prevent double submission
+    const [submitted, setSubmitted] = useState(false); // Show every validation error after a save attempt
+
+    // Whether the form differs from the saved snapshot
+    const isDirty =
+        avatar !== saved.avatar ||
+        firstName !== saved.firstName ||
+        lastName !== saved.lastName ||
+        email !== saved.email ||
+        phoneCountry !== saved.phoneCountry ||
+        phoneDigits !== saved.phoneDigits ||
+        sortTags(dietary).join() !== saved.dietary.join();
+
+    // Validation errors, shown for edited fields and after a save attempt
+    const errors = validateProfile({ firstName, lastName, email, phoneDigits, phoneCountry });
+    const phoneEdited = phoneDigits !== saved.phoneDigits || phoneCountry !== saved.phoneCountry;
+    const showError = (field, edited) => !!errors[field] && (submitted || edited);
 
     /**
-     * Load existing profile data from AsyncStorage on component mount
-     * Retrieves all saved user information and avatar
+     * Ask before leaving the screen with unsaved changes
      */
-    useEffect(() => {
-        const loadProfileData = async () => {
-            const storedFirstName = await AsyncStorage.getItem('firstName');
-            const storedLastName = await AsyncStorage.getItem('lastName');
-            const storedEmail = await AsyncStorage.getItem('email');
-            const storedPhone = await AsyncStorage.getItem('phone');
-            const storedAvatar = await AsyncStorage.getItem('avatar');
-            
-            // Set state with stored values if they exist
-            if (storedFirstName) setFirstName(storedFirstName);
-            if (storedLastName) setLastName(storedLastName);
-            if (storedEmail) setEmail(storedEmail);
-            if (storedPhone) setPhone(storedPhone);
-            if (storedAvatar) setAvatar(storedAvatar);
-        };
-        loadProfileData();
-    }, []);
+    usePreventRemove(isDirty, ({ data }) => {
+        Alert.alert('Discard changes?', 'You have unsaved changes. Leave without saving them?', [
+            { text: 'Keep editing', style: 'cancel' },
+            { text: 'Discard', style: 'destructive', onPress: () => navigation.dispatch(data.action) },
+        ]);
+    });
 
     /**
-     * Handle avatar change through image picker
-     * - Requests camera roll permissions
-     * - Opens image picker with editing capabilities
-     * - Saves selected image to AsyncStorage
+     * Pick a new avatar from the photo library or the camera
+     * - Requests the permission the chosen source needs
+     * - Opens the picker or camera with square cropping
+     * - The photo is resized and stored when the profile is saved
+     * @param {string} source - 'library' or 'camera'
      */
-    const handleChangeAvatar = async () => {
-        // Ask for permission to access photo library
-        const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    const pickAvatar = async (source) => {
+        // Ask for permission to access the photo library or the camera
+        const { status } = source === 'camera'
+            ? await ImagePicker.requestCameraPermissionsAsync()
+            : await ImagePicker.requestMediaLibraryPermissionsAsync();
         if (status !== 'granted') {
-            alert('Sorry, we need camera roll permissions to make this work!');
+            Alert.alert(
+                'Permission needed',
+                source === 'camera'
+                    ? 'Please allow camera access to take a profile photo.'
+                    : 'Please allow photo library access to choose a profile photo.'
+            );
             return;
         }
 
-        // Launch the image picker with editing options
-        const result = await ImagePicker.launchImageLibraryAsync({
-            mediaTypes: ImagePicker.MediaType,
+        // Launch the picker or camera with editing options
+        const options = {
+            mediaTypes: ['images'],
             allowsEditing: true, // Allow user to crop/edit image
             aspect: [1, 1], // Square aspect ratio for avatar
-            quality: 1, // High quality
-        });
+            quality: 1, // Full quality, the avatar is compressed when it is stored
+        };
+        const result = source === 'camera'
+            ? await ImagePicker.launchCameraAsync(options)
+            : await ImagePicker.launchImageLibraryAsync(options);
 
         // Handle selected image
         if (!result.canceled && result.assets && result.assets.length > 0) {
             setAvatar(result.assets[0].uri);
-            await AsyncStorage.setItem('avatar', result.assets[0].uri);
         }
     };
 
     /**
-     * Remove current avatar and reset to default
+     * Let the user choose where the new avatar comes from
+     */
+    const handleChangeAvatar = () => {
+        Alert.alert('Profile photo', null, [
+            { text: 'Take photo', onPress: () => pickAvatar('camera') },
+            { text: 'Choose from library', onPress: () => pickAvatar('library') },
+            { text: 'Cancel', style: 'cancel' },
+        ]);
+    };
+
+    /**
+     * Remove current avatar, the initials are shown instead
+     * The avatar and its file are removed when the profile is saved
      */
     const handleRemoveAvatar = () => {
         setAvatar(null);
@@ -93,36 +155,68 @@ export default function Profile({ navigation }) {
 
     /**
      * Handle user logout
-     * - Clears all stored data from AsyncStorage
-     * - Triggers automatic navigation back to Onboarding screen
+     * - Ends the session, the profile stays on the device for the next sign in
+     * - The session switches the navigator back to the Onboarding screen right away
      */
     const handleLogout = async () => {
-        // Clear all AsyncStorage data
-        await AsyncStorage.clear();
-        
-        // The App component will automatically re-render and show the Onboarding screen
-        // No need to navigate manually
+        await logout();
+    };
+
+    /**
+     * Switch the phone country, keeping as many digits as the new format allows
+     * @param {string} code - ISO country code
+     */
+    const handlePhoneCountryChange = (code) => {
+        setPhoneCountry(code);
+        setPhoneDigits(digits => digits.slice(0, getCountry(code).digits));
     };
 
     /**
-     * Save profile changes to AsyncStorage
-     * - Validates required fields (firstName and email)
-     * - Saves all form data
+     * Save profile changes to the session
+     * - Validates all fields, errors are shown below them
+     * - Stores a newly picked avatar and deletes the file it replaces
+     * - Saves all form data, including a removed avatar, with the phone in E.164
      * - Shows success message and navigates to Home
      */
     const handleSave = async () => {
-        if (!firstName.trim() || !email.trim()) {
-            Alert.alert('Missing Information', 'Please fill in First Name and Email.');
+        if (!isDirty || saving) return;
+        setSubmitted(true);
+        if (Object.keys(errors).length > 0) return;
+
+        setSaving(true);
+        try {
+            // Save all form data, the Home header picks up the avatar immediately
+            // A newly picked photo is still a temporary file, keep a resized copy
+            const storedAvatar = avatar && avatar !== saved.avatar && !isStoredAvatar(avatar)
+                ? await saveAvatar(avatar, profile.id)
+                : avatar;
+
+            const values = {
+                avatar: storedAvatar,
+                firstName: firstName.trim(),
+                lastName: lastName.trim(),
+                email: email.trim(),
+                phone: phoneDigits ? toE164(phoneDigits, phoneCountry) : null,
+                phoneCountry: phoneDigits ? phoneCountry : null,
+                dietary: dietary.length > 0 ? sortTags(dietary) : null,
+            };
+            await update(values);
+            if (saved.avatar !== storedAvatar) await deleteAvatar(saved.avatar);
+            setSaved(toFormValues(values));
+            setAvatar(storedAvatar);
+            setFirstName(values.firstName);
+            setLastName(values.lastName);
+            setEmail(values.email);
+            setDietary(values.dietary || []);
+            setSubmitted(false);
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            Alert.alert('Could not save profile', error.message);
             return;
+        } finally {
+            setSaving(false);
         }
-        
-        // Save all form data to AsyncStorage
-        await AsyncStorage.setItem('firstName', firstName);
-        await AsyncStorage.setItem('lastName', lastName);
-        await AsyncStorage.setItem('email', email);
-        await AsyncStorage.setItem('phone', phone);
-        if (avatar) await AsyncStorage.setItem('avatar', avatar);
-        
+
         // Show success message and navigate back to Home
         Alert.alert('Success', 'Information saved!', [
             {
@@ -133,100 +227,138 @@ export default function Profile({ navigation }) {
     };
 
     /**
-     * Discard all changes and reset form to original values
-     * - Removes all profile data from AsyncStorage
-     * - Resets all form fields to empty
+     * Discard all changes and reset form to the last saved values
      */
-    const handleDiscard = async () => {
-        await AsyncStorage.removeItem('firstName');
-        await AsyncStorage.removeItem('lastName');
-        await AsyncStorage.removeItem('email');
-        await AsyncStorage.removeItem('phone');
-        await AsyncStorage.removeItem('avatar');
-        
-        // Reset all form fields
-        setFirstName('');
-        setLastName('');
-        setEmail('');
-        setPhone('');
-        setAvatar(null);
+    const handleDiscard = () => {
+        setAvatar(saved.avatar);
+        setFirstName(saved.firstName);
+        setLastName(saved.lastName);
+        setEmail(saved.email);
+        setPhoneCountry(saved.phoneCountry);
+        setPhoneDigits(saved.phoneDigits);
+        setDietary(saved.dietary);
+        setSubmitted(false);
     };
 
     return (
         <SafeAreaView style={styles.safeArea}>
-            <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
-                <View style={styles.container}>
-                    {/* Avatar section with change/remove options */}
-                    <View style={styles.avatarContainer}>
-                        <Image
-                            source={avatar ? { uri: avatar } : placeholderAvatar}
-                            style={styles.avatar}
-                        />
-                        <View style={styles.avatarButtons}>
-                            <Button mode="outlined" onPress={handleChangeAvatar} style={styles.avatarButton} buttonColor="#495E57" textColor="#F4CE14">Change</Button>
-                            <Button mode="outlined" onPress={handleRemoveAvatar} style={styles.avatarButton} textColor="#495E57">Remove</Button>
+            <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+                <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
+                    <View style={styles.container}>
+                        {/* Avatar section with change/remove options */}
+                        <View style={styles.avatarContainer}>
+                            <UserAvatar
+                                avatar={avatar}
+                                firstName={firstName}
+                                lastName={lastName}
+                                size={100}
+                                style={styles.avatar}
+                            />
+                            <View style={styles.avatarButtons}>
+                                <Button mode="outlined" onPress={handleChangeAvatar} style={styles.avatarButton} buttonColor="#495E57" textColor="#F4CE14">Change</Button>
+                                <Button mode="outlined" onPress={handleRemoveAvatar} style={styles.avatarButton} textColor="#495E57" disabled={!avatar}>Remove</Button>
+                            </View>
                         </View>
-                    </View>
                     
-                    {/* Personal information form */}
-                    <TextInput
-                        label="First Name"
-                        value={firstName}
-                        onChangeText={setFirstName}
-                        style={styles.input}
-                        mode="outlined"
-                    />
-                    <TextInput
-                        label="Last Name"
-                        value={lastName}
-                        onChangeText={setLastName}
-                        style={styles.input}
-                        mode="outlined"
-                    />
-                    <TextInput
-                        label="Email"
-                        value={email}
-                        onChangeText={setEmail}
-                        style={styles.input}
-                        mode="outlined"
-                        keyboardType="email-address"
-                    />
+                        {/* Personal information form, errors appear below each field */}
+                        <View style={styles.input}>
+                            <TextInput
+                                label="First Name"
+                                value={firstName}
+                                onChangeText={setFirstName}
+                                mode="outlined"
+                                error={showError('firstName', firstName !== saved.firstName)}
+                            />
+                            {showError('firstName', firstName !== saved.firstName) && (
+                                <HelperText type="error">{errors.firstName}</HelperText>
+                            )}
+                        </View>
+                        <View style={styles.input}>
+                            <TextInput
+                                label="Last Name"
+                                value={lastName}
+                                onChangeText={setLastName}
+                                mode="outlined"
+                                error={showError('lastName', lastName !== saved.lastName)}
+                            />
+                            {showError('lastName', lastName !== saved.lastName) && (
+                                <HelperText type="error">{errors.lastName}</HelperText>
+                            )}
+                        </View>
+                        <View style={styles.input}>
+                            <TextInput
+                                label="Email"
+                                value={email}
+                                onChangeText={setEmail}
+                                mode="outlined"
+                                keyboardType="email-address"
+                                autoCapitalize="none"
+                                error={showError('email', email !== saved.email)}
+                            />
+                            {showError('email', email !== saved.email) && (
+                                <HelperText type="error">{errors.email}</HelperText>
+                            )}
+                        </View>
                     
-                    {/* Phone number input with formatting mask */}
-                    <View style={styles.input}>
-                        <MaskInput
-                            value={phone}
-                            onChangeText={setPhone}
-                            keyboardType="phone-pad"
-                            mask={Masks.USA_PHONE} // Apply US phone number formatting
-                            style={{
-                                borderWidth: 1,
-                                borderColor: '#bdbdbd',
-                                borderRadius: 4,
-                                padding: 12,
-                                backgroundColor: '#fff',
-                                fontSize: 16,
-                            }}
-                        />
-                    </View>
+                        {/* Phone number input, the mask follows the selected country */}
+                        <View style={styles.input}>
+                            <View style={styles.phoneRow}>
+                                <CountryPicker value={phoneCountry} onChange={handlePhoneCountryChange} />
+                                <MaskInput
+                                    value={phoneDigits}
+                                    onChangeText={(masked, unmasked) => setPhoneDigits(unmasked)}
+                                    keyboardType="phone-pad"
+                                    mask={getCountry(phoneCountry).mask} // Apply the country's phone number formatting
+                                    placeholder={getCountry(phoneCountry).pattern.replace(/#/g, '0')}
+                                    style={[styles.phoneInput, showError('phone', phoneEdited) && styles.phoneInputError]}
+                                />
+                            </View>
+                            {showError('phone', phoneEdited) && (
+                                <HelperText type="error">{errors.phone}</HelperText>
+                            )}
+                        </View>
+                    
+                        {/* Dietary preference, used as the default menu filters */}
+                        <View style={styles.input}>
+                            <Text style={styles.sectionTitle}>Dietary preference</Text>
+                            <DietaryPicker value={dietary} onChange={setDietary} />
+                        </View>
                     
-                    {/* Spacer to push buttons to bottom */}
-                    <View style={styles.spacer} />
+                        {/* Spacer to push buttons to bottom */}
+                        <View style={styles.spacer} />
                     
-                    {/* Action buttons */}
-                    <Button mode="contained" onPress={handleLogout} style={styles.logoutButton} buttonColor="#FF2400" textColor="white">
-                        Logout
-                    </Button>
-                    <View style={styles.buttonRow}>
-                        <Button mode="contained" onPress={handleSave} style={styles.saveButton} buttonColor="#495E57" textColor="#F4CE14">
-                            Save
+                        {/* Action buttons */}
+                        <Button mode="outlined" onPress={() => navigation.navigate('OrderHistory')} style={styles.historyButton} textColor="#495E57" icon="receipt">
+                            Order history
+                        </Button>
+                        <Button mode="outlined" onPress={() => navigation.navigate('MyReservations')} style={styles.reservationsButton} textColor="#495E57" icon="calendar">
+                            My reservations
+                        </Button>
+                        <Button mode="outlined" onPress={() => navigation.navigate('StaffLogin')} style={styles.reservationsButton} textColor="#495E57" icon="lock">
+                            Staff mode
                         </Button>
-                        <Button mode="outlined" onPress={handleDiscard} style={styles.discardButton} textColor="#495E57">
-                            Discard
+                        <Button mode="contained" onPress={handleLogout} style={styles.logoutButton} buttonColor="#FF2400" textColor="white">
+                            Logout
                         </Button>
+                        <View style={styles.buttonRow}>
+                            <Button
+                                mode="contained"
+                                onPress={handleSave}
+                                style={styles.saveButton}
+                                buttonColor="#495E57"
+                                textColor="#F4CE14"
+                                loading={saving}
+                                disabled={!isDirty || saving} // Only enabled when something changed
+                            >
+                                Save
+                            </Button>
+                            <Button mode="outlined" onPress={handleDiscard} style={styles.discardButton} textColor="#495E57" disabled={!isDirty}>
+                                Discard
+                            </Button>
+                        </View>
                     </View>
-                </View>
-            </TouchableWithoutFeedback>
+                </TouchableWithoutFeedback>
+            </ScrollView>
         </SafeAreaView>
     );
 }
@@ -236,6 +368,9 @@ const styles = StyleSheet.create({
         flex: 1,
         backgroundColor: '#e0e0e0',
     },
+    scrollContent: {
+        flexGrow: 1,
+    },
     container: {
         flex: 1,
         padding: 24,
@@ -246,11 +381,7 @@ const styles = StyleSheet.create({
         marginBottom: 32,
     },
     avatar: {
-        width: 100,
-        height: 100,
-        borderRadius: 50,
         marginBottom: 8,
-        backgroundColor: '#fff',
     },
     avatarButtons: {
         flexDirection: 'row',
@@ -263,9 +394,37 @@ const styles = StyleSheet.create({
     input: {
         marginBottom: 16,
     },
+    phoneRow: {
+        flexDirection: 'row',
+    },
+    phoneInput: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#bdbdbd',
+        borderRadius: 4,
+        padding: 12,
+        backgroundColor: '#fff',
+        fontSize: 16,
+    },
+    phoneInputError: {
+        borderColor: '#FF2400',
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 8,
+    },
     spacer: {
         flex: 1,
     },
+    historyButton: {
+        borderColor: '#495E57',
+    },
+    reservationsButton: {
+        marginTop: 8,
+        borderColor: '#495E57',
+    },
     logoutButton: {
         marginTop: 16,
     },
@@ -0,0 +1,309 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { Text, Button, HelperText, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { initializeDatabase, getReservationById, createReservation, updateReservation } from '../database';
+import { getErrorMessage } from '../errors';
+import {
+    OCCASIONS,
+    NO_OCCASION,
+    MIN_PARTY_SIZE,
+    MAX_PARTY_SIZE,
+    getBookableDates,
+    getTimeSlots,
+    validateReservation,
+    toDate,
+} from '../reservations';
+import QuantityStepper from '../components/QuantityStepper';
+
+/**
+ * Reservations Screen - Book or change a table reservation
+ *
+ * Opened from the Home screen to book a table, or from My Reservations
+ * (with a reservation id) to modify an existing booking. It lets the user pick:
+ * - A date within the booking window
+ * - A time slot within opening hours
+ * - The party size
+ * - An optional occasion
+ *
+ * Key Features:
+ * - Only bookable dates and times are offered
+ * - The booking is validated again before saving (the clock may have moved on)
+ * - Bookings are stored locally in SQLite
+ */
+
+/**
+ * Format a 'YYYY-MM-DD' date for the date chips
+ * @param {string} date - Date string
+ * @returns {{weekday: string, day: string}} Short weekday and "20 Oct" style day
+ */
+function formatDateChip(date) {
+    const value = toDate(date);
+    return {
+        weekday: value.toLocaleDateString([], { weekday: 'short' }),
+        day: value.toLocaleDateString([], { day: 'numeric', month: 'short' }),
+    };
+}
+
+export default function Reservations({ route, navigation }) {
+    const reservationId = route.params?.id ?? null; // Set when modifying a booking
+    const [now] = useState(() => new Date()); // Reference time for the available dates and slots
+    const [date, setDate] = useState(null); // Selected date
+    const [time, setTime] = useState(null); // Selected time slot
+    const [partySize, setPartySize] = useState(2); // Number of guests
+    const [occasion, setOccasion] = useState(NO_OCCASION); // Selected occasion
+    const [loading, setLoading] = useState(reservationId !== null); // Loading an existing booking
+    const [saving, setSaving] = useState(false); // Prevent double submission
+    const [errors, setErrors] = useState({}); // Validation errors shown after a save attempt
+
+    const dates = useMemo(() => getBookableDates(now), [now]);
+    const timeSlots = useMemo(() => (date ? getTimeSlots(date, now) : []), [date, now]);
+
+    /**
+     * Pre-select the first bookable date, or load the booking being modified
+     */
+    useEffect(() => {
+        if (reservationId === null) {
+            setDate(dates[0] ?? null);
+            return;
+        }
+
+        const loadReservation = async () => {
+            try {
+                await initializeDatabase();
+                const reservation = await getReservationById(reservationId);
+                if (!reservation) {
+                    Alert.alert('Reservation not found');
+                    navigation.goBack();
+                    return;
+                }
+                setDate(reservation.date);
+                setTime(reservation.time);
+                setPartySize(reservation.partySize);
+                setOccasion(reservation.occasion || NO_OCCASION);
+                navigation.setOptions({ title: 'Modify Reservation' });
+            } catch (err) {
+                console.error('Error loading reservation:', err);
+                Alert.alert('Could not load reservation', getErrorMessage(err));
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReservation();
+    }, [reservationId]);
+
+    /**
+     * Select a date and drop the time if it is not offered on that day
+     * @param {string} selectedDate - Date as 'YYYY-MM-DD'
+     */
+    const handleDatePress = (selectedDate) => {
+        setDate(selectedDate);
+        if (time && !getTimeSlots(selectedDate, now).includes(time)) setTime(null);
+    };
+
+    /**
+     * Validate and store the booking
+     */
+    const handleSave = async () => {
+        const reservation = { date, time, partySize, occasion };
+        const validationErrors = validateReservation(reservation, new Date());
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0 || saving) return;
+
+        setSaving(true);
+        try {
+            await initializeDatabase();
+            if (reservationId === null) {
+                await createReservation(reservation);
+            } else {
+                await updateReservation(reservationId, reservation);
+            }
+
+            const when = toDate(date, time).toLocaleString([], {
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long',
+                hour: 'numeric',
+                minute: '2-digit',
+            });
+            Alert.alert(
+                reservationId === null ? 'Table booked' : 'Reservation updated',
+                `${partySize} ${partySize === 1 ? 'guest' : 'guests'} on ${when}.`,
+                [{ text: 'OK', onPress: () => navigation.goBack() }]
+            );
+        } catch (err) {
+            console.error('Error saving reservation:', err);
+            Alert.alert('Could not save reservation', getErrorMessage(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <ScrollView contentContainerStyle={styles.content}>
+                {/* Date picker */}
+                <Text style={styles.sectionTitle}>Date</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.dateScroll}>
+                    {dates.map((entry) => {
+                        const label = formatDateChip(entry);
+                        const isActive = date === entry;
+                        return (
+                            <TouchableOpacity
+                                key={entry}
+                                style={[styles.dateChip, isActive && styles.chipActive]}
+                                onPress={() => handleDatePress(entry)}
+                            >
+                                <Text style={[styles.dateWeekday, isActive && styles.chipTextActive]}>{label.weekday}</Text>
+                                <Text style={[styles.dateDay, isActive && styles.chipTextActive]}>{label.day}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+                <HelperText type="error" visible={!!errors.date}>
+                    {errors.date}
+                </HelperText>
+
+                {/* Time slots */}
+                <Text style={styles.sectionTitle}>Time</Text>
+                <View style={styles.chipRow}>
+                    {timeSlots.map((slot) => (
+                        <TouchableOpacity
+                            key={slot}
+                            style={[styles.chip, time === slot && styles.chipActive]}
+                            onPress={() => setTime(slot)}
+                        >
+                            <Text style={[styles.chipText, time === slot && styles.chipTextActive]}>{slot}</Text>
+                        </TouchableOpacity>
+                    ))}
+                    {date && timeSlots.length === 0 && (
+                        <Text style={styles.noSlots}>No tables left on this day</Text>
+                    )}
+                </View>
+                <HelperText type="error" visible={!!errors.time}>
+                    {errors.time}
+                </HelperText>
+
+                {/* Party size */}
+                <Text style={styles.sectionTitle}>Guests</Text>
+                <QuantityStepper value={partySize} onChange={setPartySize} min={MIN_PARTY_SIZE} max={MAX_PARTY_SIZE} />
+                <HelperText type={errors.partySize ? 'error' : 'info'} visible>
+                    {errors.partySize || `For more than ${MAX_PARTY_SIZE} guests, please call the restaurant`}
+                </HelperText>
+
+                {/* Occasion */}
+                <Text style={styles.sectionTitle}>Occasion</Text>
+                <View style={styles.chipRow}>
+                    {OCCASIONS.map((entry) => (
+                        <TouchableOpacity
+                            key={entry}
+                            style={[styles.chip, occasion === entry && styles.chipActive]}
+                            onPress={() => setOccasion(entry)}
+                        >
+                            <Text style={[styles.chipText, occasion === entry && styles.chipTextActive]}>{entry}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            </ScrollView>
+
+            {/* Save button */}
+            <View style={styles.footer}>
+                <Button
+                    mode="contained"
+                    onPress={handleSave}
+                    loading={saving}
+                    disabled={saving}
+                    buttonColor={date && time ? '#F4CE14' : '#A9A9A9'}
+                    textColor="black"
+                >
+                    {reservationId === null ? 'Book table' : 'Save changes'}
+                </Button>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#e0e0e0',
+    },
+    content: {
+        padding: 15,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginTop: 4,
+        marginBottom: 10,
+    },
+    dateScroll: {
+        flexGrow: 0,
+    },
+    dateChip: {
+        alignItems: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        borderRadius: 10,
+        backgroundColor: '#fff',
+    },
+    dateWeekday: {
+        fontSize: 12,
+        color: '#555',
+    },
+    dateDay: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    chip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        marginBottom: 6,
+        borderRadius: 15,
+        backgroundColor: '#fff',
+    },
+    chipActive: {
+        backgroundColor: '#495E57',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#333',
+    },
+    chipTextActive: {
+        color: '#F4CE14',
+    },
+    noSlots: {
+        fontSize: 13,
+        color: '#555',
+    },
+    footer: {
+        padding: 12,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e0e0e0',
+    },
+});
@@ -5,7 +5,7 @@ import { View, StyleSheet, Image } from 'react-native';
  * Splash Screen - App Loading Screen
  * 
  * This is the initial screen that displays while the app is:
- * - Checking login status from AsyncStorage
+ * - Restoring the stored session
  * - Initializing the database
  * - Loading initial data
  * 
@@ -0,0 +1,314 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, TextInput, Button, HelperText, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+    initializeDatabase,
+    getStaffMenuItems,
+    createMenuItem,
+    updateMenuItem,
+    deleteMenuItem,
+    revertMenuItem,
+} from '../database';
+import { syncMenu } from '../menuSync';
+import { validateMenuItemFields } from '../menuSchema';
+import { isLocalKey } from '../menuOverrides';
+import { getErrorMessage } from '../errors';
+
+/**
+ * Staff Edit Item Screen - Add or edit a dish in staff mode
+ *
+ * Opened from the Staff Menu screen, with the id of the dish to edit or
+ * without one to add a dish. It displays:
+ * - Name, price, category, description and image fields
+ * - Existing categories as shortcuts
+ * - Delete, and for edited synced dishes, a way back to the synced details
+ *
+ * Key Features:
+ * - Validation with inline error messages (see validateMenuItemFields)
+ * - Synced dishes removed here stay hidden until restored on the Staff Menu screen
+ */
+
+export default function StaffEditItem({ route, navigation }) {
+    const id = route.params?.id ?? null; // Dish being edited, null when adding one
+
+    const [item, setItem] = useState(null); // Dish as stored, null when adding one
+    const [otherNames, setOtherNames] = useState([]); // Names of the other dishes, must not be reused
+    const [categories, setCategories] = useState([]); // Categories already on the menu
+    const [name, setName] = useState('');
+    const [price, setPrice] = useState(''); // Price as typed
+    const [category, setCategory] = useState('');
+    const [description, setDescription] = useState('');
+    const [image, setImage] = useState('');
+    const [submitted, setSubmitted] = useState(false); // Show errors once Save was pressed
+    const [loading, setLoading] = useState(true); // Loading state for the first read
+    const [saving, setSaving] = useState(false); // Writing to the database
+
+    useEffect(() => {
+        navigation.setOptions({ title: id ? 'Edit Dish' : 'Add Dish' });
+
+        const loadItem = async () => {
+            try {
+                await initializeDatabase();
+                const items = await getStaffMenuItems();
+                const current = items.find(entry => entry.id === id) || null;
+                if (id && !current) {
+                    Alert.alert('Dish not found', 'This dish is no longer on the menu.');
+                    navigation.goBack();
+                    return;
+                }
+
+                setOtherNames(items.filter(entry => entry !== current).map(entry => entry.name));
+                setCategories([...new Set(items.map(entry => entry.category).filter(Boolean))]);
+                if (current) {
+                    setItem(current);
+                    setName(current.name);
+                    setPrice(Number(current.price).toFixed(2));
+                    setCategory(current.category || '');
+                    setDescription(current.description || '');
+                    setImage(current.image || '');
+                }
+            } catch (err) {
+                console.error('Error loading dish:', err);
+                Alert.alert('Could not load the dish', getErrorMessage(err));
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadItem();
+    }, [id, navigation]);
+
+    const errors = validateMenuItemFields({ name, price, category, description, image }, { takenNames: otherNames });
+    const showError = (field) => submitted && !!errors[field];
+
+    /**
+     * Validate and store the dish
+     */
+    const handleSave = async () => {
+        setSubmitted(true);
+        if (Object.keys(errors).length > 0) return;
+
+        const values = {
+            name: name.trim(),
+            price: Number(price),
+            category: category.trim(),
+            description: description.trim(),
+            image: image.trim() || null,
+        };
+
+        setSaving(true);
+        try {
+            if (item) {
+                await updateMenuItem(item.id, values);
+            } else {
+                await createMenuItem(values);
+            }
+            navigation.goBack();
+        } catch (err) {
+            console.error('Error saving dish:', err);
+            Alert.alert('Could not save the dish', getErrorMessage(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Remove the dish after confirmation
+     */
+    const handleDelete = () => {
+        const message = isLocalKey(item.item_key)
+            ? `Delete ${item.name}? It was added on this device and cannot be restored.`
+            : `Remove ${item.name} from the menu? It can be restored from the staff menu.`;
+        Alert.alert('Remove dish', message, [
+            { text: 'Keep it', style: 'cancel' },
+            {
+                text: 'Remove',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        await deleteMenuItem(item.id);
+                        navigation.goBack();
+                    } catch (err) {
+                        console.error('Error deleting dish:', err);
+                        Alert.alert('Could not remove the dish', getErrorMessage(err));
+                    }
+                },
+            },
+        ]);
+    };
+
+    /**
+     * Drop the local edits of a synced dish and sync to get its details back
+     */
+    const handleRevert = () => {
+        Alert.alert('Undo edits', `Show ${item.name} as the menu source has it, sold out status included?`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Undo edits',
+                onPress: async () => {
+                    try {
+                        await revertMenuItem(item.id);
+                        const result = await syncMenu();
+                        if (result.status === 'failed') {
+                            Alert.alert('Edits dropped', 'The original details will show after the next successful sync.');
+                        }
+                        navigation.goBack();
+                    } catch (err) {
+                        console.error('Error reverting dish:', err);
+                        Alert.alert('Could not undo the edits', getErrorMessage(err));
+                    }
+                },
+            },
+        ]);
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <KeyboardAvoidingView style={styles.flex} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+                <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+                    <TextInput label="Name" value={name} onChangeText={setName} mode="outlined" error={showError('name')} />
+                    <HelperText type="error" visible={showError('name')}>
+                        {errors.name}
+                    </HelperText>
+
+                    <TextInput
+                        label="Price"
+                        value={price}
+                        onChangeText={setPrice}
+                        mode="outlined"
+                        keyboardType="decimal-pad"
+                        left={<TextInput.Affix text="$" />}
+                        error={showError('price')}
+                    />
+                    <HelperText type="error" visible={showError('price')}>
+                        {errors.price}
+                    </HelperText>
+
+                    <TextInput label="Category" value={category} onChangeText={setCategory} mode="outlined" autoCapitalize="none" error={showError('category')} />
+                    <View style={styles.optionRow}>
+                        {categories.map((entry) => {
+                            const selected = entry.toLowerCase() === category.trim().toLowerCase();
+                            return (
+                                <TouchableOpacity
+                                    key={entry}
+                                    style={[styles.option, selected && styles.optionActive]}
+                                    onPress={() => setCategory(entry)}
+                                    accessibilityState={{ selected }}
+                                >
+                                    <Text style={[styles.optionText, selected && styles.optionTextActive]}>{entry}</Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                    <HelperText type="error" visible={showError('category')}>
+                        {errors.category}
+                    </HelperText>
+
+                    <TextInput
+                        label="Description"
+                        value={description}
+                        onChangeText={setDescription}
+                        mode="outlined"
+                        multiline
+                        numberOfLines={3}
+                        error={showError('description')}
+                    />
+                    <HelperText type="error" visible={showError('description')}>
+                        {errors.description}
+                    </HelperText>
+
+                    <TextInput label="Image (filename or URL)" value={image} onChangeText={setImage} mode="outlined" autoCapitalize="none" error={showError('image')} />
+                    <HelperText type={showError('image') ? 'error' : 'info'} visible>
+                        {showError('image') ? errors.image : 'Optional, e.g. greekSalad.jpg'}
+                    </HelperText>
+
+                    <Button
+                        mode="contained"
+                        onPress={handleSave}
+                        loading={saving}
+                        disabled={saving}
+                        style={styles.saveButton}
+                        buttonColor="#495E57"
+                        textColor="#F4CE14"
+                    >
+                        {item ? 'Save changes' : 'Add to menu'}
+                    </Button>
+
+                    {item?.overrideAction === 'edit' && (
+                        <Button mode="outlined" onPress={handleRevert} style={styles.revertButton} textColor="#495E57" icon="undo">
+                            Undo edits
+                        </Button>
+                    )}
+                    {item && (
+                        <Button mode="text" onPress={handleDelete} style={styles.deleteButton} textColor="#FF2400" icon="delete">
+                            Remove from menu
+                        </Button>
+                    )}
+                </ScrollView>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    flex: {
+        flex: 1,
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#e0e0e0',
+    },
+    container: {
+        padding: 20,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 8,
+    },
+    option: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 6,
+        marginBottom: 6,
+        borderRadius: 15,
+        backgroundColor: '#f5f5f5',
+    },
+    optionActive: {
+        backgroundColor: '#495E57',
+    },
+    optionText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+    },
+    optionTextActive: {
+        color: '#F4CE14',
+    },
+    saveButton: {
+        marginTop: 8,
+    },
+    revertButton: {
+        marginTop: 12,
+        borderColor: '#495E57',
+    },
+    deleteButton: {
+        marginTop: 8,
+    },
+});
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, TextInput, Button, HelperText, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { hasStaffPin, setStaffPin, unlockStaffMode, isStaffUnlocked, validatePin, PIN_MAX_LENGTH } from '../staffAuth';
+
+/**
+ * Staff Login Screen - PIN lock in front of staff mode
+ *
+ * Reachable from the Profile screen. It displays:
+ * - A form to choose the PIN the first time staff mode is opened
+ * - A PIN prompt afterwards
+ *
+ * Key Features:
+ * - Goes straight to the staff menu while staff mode is still unlocked
+ * - Wrong PINs count down to a short lockout (see staffAuth.js)
+ */
+
+export default function StaffLogin({ navigation }) {
+    const [hasPin, setHasPin] = useState(null); // Whether a PIN exists, null while checking
+    const [pin, setPin] = useState(''); // PIN as typed
+    const [confirmPin, setConfirmPin] = useState(''); // Repeated PIN when choosing one
+    const [error, setError] = useState(null); // Message below the form
+    const [busy, setBusy] = useState(false); // Checking or saving the PIN
+
+    useEffect(() => {
+        if (isStaffUnlocked()) {
+            navigation.replace('StaffMenu');
+            return;
+        }
+        hasStaffPin()
+            .then(setHasPin)
+            .catch(err => {
+                console.error('Error reading staff PIN:', err);
+                Alert.alert('Staff mode unavailable', err.message);
+                navigation.goBack();
+            });
+    }, [navigation]);
+
+    /**
+     * Check the PIN, or store it when choosing one, then open the staff menu
+     */
+    const handleSubmit = async () => {
+        if (!hasPin) {
+            const message = validatePin(pin) || (pin !== confirmPin ? 'The PINs do not match' : null);
+            if (message) {
+                setError(message);
+                return;
+            }
+        }
+
+        setBusy(true);
+        try {
+            if (hasPin) {
+                const result = await unlockStaffMode(pin);
+                if (!result.unlocked) {
+                    setPin('');
+                    setError(result.retryAfterMs
+                        ? `Too many wrong PINs. Try again in ${Math.ceil(result.retryAfterMs / 1000)} seconds`
+                        : `Wrong PIN, ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'try' : 'tries'} left`);
+                    return;
+                }
+            } else {
+                await setStaffPin(pin);
+            }
+            navigation.replace('StaffMenu');
+        } catch (err) {
+            console.error('Error unlocking staff mode:', err);
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // Checking whether a PIN exists
+    if (hasPin === null) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+                <Text style={styles.title}>{hasPin ? 'Enter the staff PIN' : 'Choose a staff PIN'}</Text>
+                <Text style={styles.subtitle}>
+                    {hasPin
+                        ? 'Staff mode changes the menu on this device.'
+                        : 'Staff mode changes the menu on this device. Choose a PIN so guests cannot open it.'}
+                </Text>
+
+                <TextInput
+                    label="PIN"
+                    value={pin}
+                    onChangeText={(text) => { setPin(text.replace(/\D/g, '')); setError(null); }}
+                    mode="outlined"
+                    keyboardType="number-pad"
+                    secureTextEntry
+                    maxLength={PIN_MAX_LENGTH}
+                    autoFocus
+                    onSubmitEditing={hasPin ? handleSubmit : undefined}
+                />
+                {!hasPin && (
+                    <TextInput
+                        label="Repeat PIN"
+                        value={confirmPin}
+                        onChangeText={(text) => { setConfirmPin(text.replace(/\D/g, '')); setError(null); }}
+                        mode="outlined"
+                        keyboardType="number-pad"
+                        secureTextEntry
+                        maxLength={PIN_MAX_LENGTH}
+                        style={styles.confirmInput}
+                    />
+                )}
+                <HelperText type="error" visible={!!error}>
+                    {error}
+                </HelperText>
+
+                <Button
+                    mode="contained"
+                    onPress={handleSubmit}
+                    loading={busy}
+                    disabled={busy || !pin}
+                    buttonColor="#495E57"
+                    textColor="#F4CE14"
+                >
+                    {hasPin ? 'Unlock' : 'Set PIN'}
+                </Button>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#e0e0e0',
+    },
+    container: {
+        flex: 1,
+        padding: 24,
+        justifyContent: 'center',
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 6,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#555',
+        marginBottom: 20,
+    },
+    confirmInput: {
+        marginTop: 8,
+    },
+});
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useLayoutEffect, useState } from 'react';
+import { View, StyleSheet, SectionList, Alert, AppState, Switch, TouchableOpacity } from 'react-native';
+import { Text, Button, IconButton, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    initializeDatabase,
+    getStaffMenuItems,
+    getRemovedMenuItems,
+    setMenuItemAvailable,
+    restoreMenuItem,
+} from '../database';
+import { syncMenu } from '../menuSync';
+import { isStaffUnlocked, lockStaffMode } from '../staffAuth';
+import { formatPrice } from '../pricing';
+import { getErrorMessage } from '../errors';
+
+/**
+ * Staff Menu Screen - Manage the menu on this device
+ *
+ * Opened through the Staff Login screen. It displays:
+ * - Every dish, with a switch to mark it sold out or back on sale
+ * - Labels for dishes added on this device and synced dishes that were edited
+ * - Synced dishes that were removed, with a Restore action
+ * - Header actions to add a dish and to lock staff mode
+ *
+ * Key Features:
+ * - Changes are kept as overrides that survive menu syncs (see menuOverrides.js)
+ * - Tapping a dish opens it for editing
+ * - Staff mode locks when the app goes to the background or the unlock expires
+ */
+
+export default function StaffMenu({ navigation }) {
+    const [sections, setSections] = useState([]); // Dishes on the menu and removed dishes
+    const [loading, setLoading] = useState(true); // Loading state for the first read
+
+    /**
+     * Leave staff mode and return to the Profile screen
+     */
+    const handleLock = useCallback(() => {
+        lockStaffMode();
+        navigation.popTo('Profile');
+    }, [navigation]);
+
+    // Header actions
+    useLayoutEffect(() => {
+        navigation.setOptions({
+            headerRight: () => (
+                <View style={styles.headerActions}>
+                    <IconButton icon="plus" iconColor="#F4CE14" onPress={() => navigation.navigate('StaffEditItem')} accessibilityLabel="Add a dish" />
+                    <IconButton icon="lock" iconColor="#F4CE14" onPress={handleLock} accessibilityLabel="Lock staff mode" />
+                </View>
+            ),
+        });
+    }, [navigation, handleLock]);
+
+    // Lock as soon as the device is handed back or put away
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', (nextState) => {
+            if (nextState === 'background') handleLock();
+        });
+        return () => subscription.remove();
+    }, [handleLock]);
+
+    /**
+     * Load the dishes and the removed synced dishes
+     */
+    const loadMenu = async () => {
+        try {
+            await initializeDatabase();
+            const [items, removed] = await Promise.all([getStaffMenuItems(), getRemovedMenuItems()]);
+            setSections([
+                { key: 'menu', title: 'On the menu', data: items },
+                { key: 'removed', title: 'Removed from the menu', data: removed },
+            ].filter(section => section.data.length > 0));
+        } catch (err) {
+            console.error('Error loading staff menu:', err);
+            Alert.alert('Could not load the menu', getErrorMessage(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Reload whenever the screen is shown, a dish may have just been edited
+    useFocusEffect(
+        useCallback(() => {
+            if (!isStaffUnlocked()) {
+                navigation.replace('StaffLogin');
+                return;
+            }
+            loadMenu();
+        }, [navigation])
+    );
+
+    /**
+     * Mark a dish as sold out or back on sale
+     * @param {Object} item - Menu item
+     * @param {boolean} available - New availability
+     */
+    const handleAvailableChange = async (item, available) => {
+        try {
+            await setMenuItemAvailable(item.id, available);
+            await loadMenu();
+        } catch (err) {
+            console.error('Error changing availability:', err);
+            Alert.alert('Could not update the dish', getErrorMessage(err));
+        }
+    };
+
+    /**
+     * Put a removed dish back, it reappears once the menu is synced
+     * @param {Object} removed - Removed dish from getRemovedMenuItems
+     */
+    const handleRestore = async (removed) => {
+        try {
+            await restoreMenuItem(removed.itemKey);
+            const result = await syncMenu();
+            if (result.status === 'failed') {
+                Alert.alert('Restored', `${removed.itemKey} will be back on the menu after the next successful sync.`);
+            }
+            await loadMenu();
+        } catch (err) {
+            console.error('Error restoring dish:', err);
+            Alert.alert('Could not restore the dish', getErrorMessage(err));
+        }
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator animating={true} />
+            </View>
+        );
+    }
+
+    /**
+     * Render a dish on the menu
+     * @param {Object} item - Menu item with overrideAction
+     */
+    const renderMenuItem = (item) => (
+        <TouchableOpacity
+            style={[styles.item, !item.available && styles.itemSoldOut]}
+            onPress={() => navigation.navigate('StaffEditItem', { id: item.id })}
+        >
+            <View style={styles.itemDetails}>
+                <Text style={styles.itemName}>{item.name}</Text>
+                <Text style={styles.itemMeta}>
+                    {formatPrice(item.price)} · {item.category}
+                    {item.overrideAction === 'create' ? ' · Added here' : ''}
+                    {item.overrideAction === 'edit' ? ' · Edited' : ''}
+                </Text>
+            </View>
+            <View style={styles.availability}>
+                <Text style={styles.availabilityLabel}>{item.available ? 'On sale' : 'Sold out'}</Text>
+                <Switch
+                    value={!!item.available}
+                    onValueChange={(value) => handleAvailableChange(item, value)}
+                    trackColor={{ true: '#495E57' }}
+                    thumbColor={item.available ? '#F4CE14' : undefined}
+                    accessibilityLabel={`${item.name} on sale`}
+                />
+            </View>
+        </TouchableOpacity>
+    );
+
+    /**
+     * Render a synced dish that was removed
+     * @param {Object} removed - Removed dish from getRemovedMenuItems
+     */
+    const renderRemovedItem = (removed) => (
+        <View style={[styles.item, styles.itemSoldOut]}>
+            <View style={styles.itemDetails}>
+                <Text style={styles.itemName}>{removed.itemKey}</Text>
+                <Text style={styles.itemMeta}>Removed {new Date(removed.removedAt).toLocaleDateString()}</Text>
+            </View>
+            <Button mode="text" onPress={() => handleRestore(removed)} textColor="#495E57">
+                Restore
+            </Button>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+            <SectionList
+                sections={sections}
+                keyExtractor={(entry) => String(entry.id ?? entry.itemKey)}
+                contentContainerStyle={styles.listContainer}
+                renderSectionHeader={({ section }) => (
+                    <Text style={styles.sectionHeader}>{section.title}</Text>
+                )}
+                renderItem={({ item, section }) => (
+                    section.key === 'menu' ? renderMenuItem(item) : renderRemovedItem(item)
+                )}
+                ListEmptyComponent={<Text style={styles.emptyText}>The menu is empty</Text>}
+            />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    safeArea: {
+        flex: 1,
+        backgroundColor: '#e0e0e0',
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#e0e0e0',
+    },
+    headerActions: {
+        flexDirection: 'row',
+    },
+    listContainer: {
+        padding: 15,
+    },
+    sectionHeader: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#495E57',
+        marginBottom: 8,
+        marginTop: 4,
+    },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 10,
+    },
+    itemSoldOut: {
+        opacity: 0.6,
+    },
+    itemDetails: {
+        flex: 1,
+        marginRight: 8,
+    },
+    itemName: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#222',
+    },
+    itemMeta: {
+        fontSize: 13,
+        color: '#555',
+        marginTop: 2,
+    },
+    availability: {
+        alignItems: 'center',
+    },
+    availabilityLabel: {
+        fontSize: 11,
+        color: '#555',
+    },
+    emptyText: {
+        fontSize: 16,
+        color: '#495E57',
+        textAlign: 'center',
+        marginTop: 24,
+    },
+});
@@ -0,0 +1,197 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import * as auth from './auth';
+import * as profileStore from './profileStore';
+import { cleanUpAvatars, deleteAvatar, isLegacyAvatar, migrateAvatar } from './avatarStorage';
+import { setDatabaseProfile, deleteProfileData } from './database';
+
+/**
+ * Session - Login state and the signed-in user's profile
+ *
+ * Holds the profile of the signed-in user (null when nobody is signed in)
+ * and the other profiles saved on the device, and exposes actions to change
+ * them. Screens call these actions directly, so the navigator switches
+ * stacks as soon as they resolve, without polling storage.
+ *
+ * Signing in goes through the auth backend (see auth.js); the profile store
+ * keeps the local details of each user. When the backend ends a session the
+ * user is signed out here too, which routes back to Onboarding.
+ *
+ * The cart, orders, reservations and favorites in SQLite belong to one
+ * profile each; the signed-in profile is handed to database.js before the
+ * app's screens are shown, so they only ever see its own rows.
+ *
+ * Usage:
+ * - Wrap the app in <SessionProvider>
+ * - const { isLoggedIn, profile, signIn, signUp, logout, update } = useSession();
+ */
+
+const SessionContext = createContext(null);
+
+/**
+ * Move avatars that earlier versions saved as full URIs into the avatars directory
+ * Runs at every launch, but only profiles that still have such an avatar are changed
+ */
+async function migrateLegacyAvatars() {
+  const legacy = (await profileStore.getProfiles()).filter(entry => isLegacyAvatar(entry.avatar));
+  for (const entry of legacy) {
+    await profileStore.updateProfile(entry.id, { avatar: await migrateAvatar(entry.avatar, entry.id) });
+  }
+}
+
+export function SessionProvider({ children }) {
+  const [isLoading, setIsLoading] = useState(true); // Reading the stored session on launch
+  const [profile, setProfile] = useState(null); // Profile of the signed-in user
+  const [profiles, setProfiles] = useState([]); // All profiles saved on the device
+
+  /**
+   * Re-read the saved profiles, e.g. for the account picker
+   */
+  const refreshProfiles = useCallback(async () => {
+    const saved = await profileStore.getProfiles();
+    setProfiles(saved);
+    return saved;
+  }, []);
+
+  /**
+   * Sign out locally, keeping the user's saved details on the device
+   */
+  const endSession = useCallback(async () => {
+    await profileStore.signOut();
+    setProfile(null);
+    setDatabaseProfile(null);
+    await refreshProfiles();
+  }, [refreshProfiles]);
+
+  /**
+   * Restore the session stored by a previous launch
+   * A profile without tokens (e.g. from before sign-in existed) has to sign in again
+   */
+  useEffect(() => {
+    const restoreSession = async () => {
+      try {
+        await migrateLegacyAvatars().catch(error => console.warn('Could not migrate avatars:', error.message));
+
+        const [activeProfile, authSession] = await Promise.all([
+          profileStore.getActiveProfile(),
+          auth.getAuthSession(),
+        ]);
+
+        if (activeProfile && authSession) {
+          setDatabaseProfile(activeProfile.id);
+          setProfile(activeProfile);
+          // Confirm the tokens with the backend, an expired session signs out through the listener
+          auth.fetchCurrentUser().catch(error => console.warn('Could not verify session:', error.message));
+        } else if (activeProfile) {
+          await profileStore.signOut();
+        }
+
+        // Drop avatar files left behind, e.g. by an interrupted save
+        const saved = await refreshProfiles();
+        cleanUpAvatars(saved.map(entry => entry.avatar));
+      } catch (error) {
+        console.error('Error restoring session:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    restoreSession();
+  }, [refreshProfiles]);
+
+  // Return to Onboarding when the backend no longer accepts the session
+  useEffect(() => auth.onSessionExpired(() => {
+    endSession().catch(error => console.error('Error ending session:', error));
+  }), [endSession]);
+
+  /**
+   * Store the local profile of a user the backend just signed in
+   * @param {Object} user - User returned by the backend
+   */
+  const startSession = useCallback(async (user) => {
+    const signedIn = await profileStore.signIn(user);
+    setDatabaseProfile(signedIn.id);
+    setProfile(signedIn);
+    await refreshProfiles();
+  }, [refreshProfiles]);
+
+  /**
+   * Create an account and sign in
+   * @param {Object} details - firstName, email and password
+   */
+  const signUp = useCallback(async (details) => {
+    await startSession(await auth.signUp(details));
+  }, [startSession]);
+
+  /**
+   * Sign in with an existing account
+   * @param {Object} credentials - email and password
+   */
+  const signIn = useCallback(async (credentials) => {
+    await startSession(await auth.signIn(credentials));
+  }, [startSession]);
+
+  /**
+   * Sign out on the backend and on this device, keeping the user's saved details
+   */
+  const logout = useCallback(async () => {
+    await auth.signOut();
+    await endSession();
+  }, [endSession]);
+
+  /**
+   * Remove a saved profile from the device, with its cart, orders, reservations and favorites
+   * Removing the signed-in profile signs out first, on the backend too
+   * @param {string} id - Profile id
+   */
+  const forgetAccount = useCallback(async (id) => {
+    const active = await profileStore.getActiveProfile();
+    if (active && active.id === id) {
+      await auth.signOut();
+      await endSession();
+    }
+
+    const removed = await profileStore.getProfile(id);
+    await profileStore.removeProfile(id);
+    await deleteProfileData(id);
+    if (removed) await deleteAvatar(removed.avatar);
+    await refreshProfiles();
+  }, [endSession, refreshProfiles]);
+
+  /**
+   * Change profile fields of the signed-in user
+   * @param {Object} changes - Fields to change, empty values remove the field
+   */
+  const update = useCallback(async (changes) => {
+    if (!profile) return;
+    setProfile(await profileStore.updateProfile(profile.id, changes));
+    await refreshProfiles();
+  }, [profile, refreshProfiles]);
+
+  const value = useMemo(
+    () => ({
+      isLoading,
+      isLoggedIn: profile !== null,
+      profile: profile || {},
+      profiles,
+      signUp,
+      signIn,
+      logout,
+      forgetAccount,
+      update,
+    }),
+    [isLoading, profile, profiles, signUp, signIn, logout, forgetAccount, update]
+  );
+
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
+
+/**
+ * Access the session from any component inside SessionProvider
+ * @returns {Object} isLoading, isLoggedIn, profile, profiles and the session actions
+ */
+export function useSession() {
+  const session = useContext(SessionContext);
+  if (!session) {
+    throw new Error('useSession must be used inside a SessionProvider');
+  }
+  return session;
+}
@@ -0,0 +1,144 @@
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+
+/**
+ * Staff Auth - PIN lock of staff mode
+ *
+ * Staff mode lets restaurant staff change the menu on this device (see
+ * menuOverrides.js), so it sits behind a PIN chosen the first time it is
+ * opened. Only a salted SHA-256 hash of the PIN is kept, in the platform
+ * keychain / keystore (expo-secure-store).
+ *
+ * Unlocking lasts for STAFF_SESSION_MS or until lockStaffMode is called,
+ * e.g. when the app goes to the background. After MAX_ATTEMPTS wrong PINs in
+ * a row, further attempts are refused for LOCKOUT_MS. The count of wrong PINs
+ * and the end of the lockout are kept in secure storage too, so restarting
+ * the app does not give a fresh set of attempts.
+ */
+
+const PIN_KEY = 'staffPin';
+const ATTEMPTS_KEY = 'staffPinAttempts';
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 6;
+
+export const STAFF_SESSION_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+let unlockedAt = null;
+
+/**
+ * Hash a PIN with its salt
+ * @param {string} salt - Hex salt stored with the hash
+ * @param {string} pin - PIN as typed
+ * @returns {Promise<string>} Hex digest
+ */
+function hashPin(salt, pin) {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+}
+
+/**
+ * Read the wrong PIN count and the end of the lockout
+ * @returns {Promise<{failedAttempts: number, lockedOutUntil: number}>} Stored state, zeros when there is none
+ */
+async function readAttempts() {
+  const stored = await SecureStore.getItemAsync(ATTEMPTS_KEY);
+  const { failedAttempts = 0, lockedOutUntil = 0 } = stored ? JSON.parse(stored) : {};
+  return { failedAttempts, lockedOutUntil };
+}
+
+/**
+ * Store the wrong PIN count and the end of the lockout
+ * @param {{failedAttempts: number, lockedOutUntil: number}} attempts - State to keep
+ */
+async function writeAttempts(attempts) {
+  await SecureStore.setItemAsync(ATTEMPTS_KEY, JSON.stringify(attempts), {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+}
+
+/**
+ * Validate a new PIN
+ * @param {string} pin - PIN as typed
+ * @returns {string|null} Error message, null when valid
+ */
+export function validatePin(pin) {
+  if (!/^\d+$/.test(pin || '')) return 'The PIN can only contain digits';
+  if (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH) {
+    return `The PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a staff PIN was set on this device
+ * @returns {Promise<boolean>} True once a PIN exists
+ */
+export async function hasStaffPin() {
+  return (await SecureStore.getItemAsync(PIN_KEY)) !== null;
+}
+
+/**
+ * Set the staff PIN and unlock staff mode
+ * @param {string} pin - New PIN, see validatePin
+ */
+export async function setStaffPin(pin) {
+  const message = validatePin(pin);
+  if (message) throw new Error(message);
+
+  const salt = Array.from(Crypto.getRandomBytes(16), byte => byte.toString(16).padStart(2, '0')).join('');
+  const hash = await hashPin(salt, pin);
+  await SecureStore.setItemAsync(PIN_KEY, JSON.stringify({ salt, hash }), {
+    keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+  await writeAttempts({ failedAttempts: 0, lockedOutUntil: 0 });
+  unlockedAt = Date.now();
+}
+
+/**
+ * Unlock staff mode with the PIN
+ * @param {string} pin - PIN as typed
+ * @returns {Promise<{unlocked: boolean, retryAfterMs?: number, attemptsLeft?: number}>} Outcome of the attempt
+ */
+export async function unlockStaffMode(pin) {
+  const now = Date.now();
+  const { failedAttempts, lockedOutUntil } = await readAttempts();
+  if (now < lockedOutUntil) {
+    // Capped, so a clock set back does not stretch the lockout
+    return { unlocked: false, retryAfterMs: Math.min(lockedOutUntil - now, LOCKOUT_MS) };
+  }
+
+  const stored = await SecureStore.getItemAsync(PIN_KEY);
+  if (!stored) throw new Error('No staff PIN is set');
+
+  const { salt, hash } = JSON.parse(stored);
+  if ((await hashPin(salt, pin)) === hash) {
+    if (failedAttempts > 0 || lockedOutUntil > 0) await writeAttempts({ failedAttempts: 0, lockedOutUntil: 0 });
+    unlockedAt = now;
+    return { unlocked: true };
+  }
+
+  const attempts = failedAttempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    await writeAttempts({ failedAttempts: 0, lockedOutUntil: now + LOCKOUT_MS });
+    return { unlocked: false, retryAfterMs: LOCKOUT_MS };
+  }
+  await writeAttempts({ failedAttempts: attempts, lockedOutUntil: 0 });
+  return { unlocked: false, attemptsLeft: MAX_ATTEMPTS - attempts };
+}
+
+/**
+ * Check whether staff mode is unlocked
+ * @returns {boolean} True within STAFF_SESSION_MS of unlocking
+ */
+export function isStaffUnlocked() {
+  return unlockedAt !== null && Date.now() - unlockedAt < STAFF_SESSION_MS;
+}
+
+/**
+ * Lock staff mode, the PIN is asked for again next time
+ */
+export function lockStaffMode() {
+  unlockedAt = null;
+}
@@ -0,0 +1,172 @@
+/**
+ * Validation - Rules for the personal details entered in the app
+ *
+ * Shared by Onboarding and Profile so both accept the same names, emails and
+ * phone numbers. Each validator returns an error message, or null when the
+ * value is fine, so screens can show the message next to the field.
+ *
+ * Phone numbers are entered in the national format of the selected country
+ * and stored in E.164 ('+' country code and number, e.g. '+14155550123').
+ */
+
+// Letters, including accented Latin letters, in words joined by spaces, hyphens or apostrophes
+const NAME_PATTERN = /^[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F]+(?:[ '\u2019-][A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F]+)*$/;
+const NAME_MAX_LENGTH = 50;
+
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*\.[A-Za-z]{2,}$/;
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Turn a pattern such as '(###) ###-####' into a react-native-mask-input mask
+ * @param {string} pattern - '#' stands for a digit, anything else is shown as is
+ * @returns {Array<string|RegExp>} Mask
+ */
+function buildMask(pattern) {
+  return pattern.split('').map(char => (char === '#' ? /\d/ : char));
+}
+
+/**
+ * Countries offered by the phone country picker
+ * Each national pattern leaves out the trunk prefix (the leading 0 dialled at home)
+ */
+export const COUNTRIES = [
+  { code: 'US', name: 'United States', flag: '🇺🇸', dialCode: '1', pattern: '(###) ###-####' },
+  { code: 'CA', name: 'Canada', flag: '🇨🇦', dialCode: '1', pattern: '(###) ###-####' },
+  { code: 'MX', name: 'Mexico', flag: '🇲🇽', dialCode: '52', pattern: '## #### ####' },
+  { code: 'GB', name: 'United Kingdom', flag: '🇬🇧', dialCode: '44', pattern: '#### ######' },
+  { code: 'FR', name: 'France', flag: '🇫🇷', dialCode: '33', pattern: '# ## ## ## ##' },
+  { code: 'ES', name: 'Spain', flag: '🇪🇸', dialCode: '34', pattern: '### ### ###' },
+  { code: 'IN', name: 'India', flag: '🇮🇳', dialCode: '91', pattern: '##### #####' },
+  { code: 'JP', name: 'Japan', flag: '🇯🇵', dialCode: '81', pattern: '##-####-####' },
+  { code: 'KR', name: 'South Korea', flag: '🇰🇷', dialCode: '82', pattern: '##-####-####' },
+  { code: 'AU', name: 'Australia', flag: '🇦🇺', dialCode: '61', pattern: '### ### ###' },
+].map(country => ({
+  ...country,
+  digits: country.pattern.split('#').length - 1,
+  mask: buildMask(country.pattern),
+}));
+
+export const DEFAULT_COUNTRY_CODE = 'US';
+
+/**
+ * Look up a country of the phone picker
+ * @param {string} code - ISO country code, e.g. 'US'
+ * @returns {Object} Country, the default country for unknown codes
+ */
+export function getCountry(code) {
+  return COUNTRIES.find(country => country.code === code)
+    || COUNTRIES.find(country => country.code === DEFAULT_COUNTRY_CODE);
+}
+
+/**
+ * Build the E.164 form of a national number
+ * @param {string} digits - National number, digits only
+ * @param {string} countryCode - ISO country code
+ * @returns {string} E.164 number, e.g. '+14155550123'
+ */
+export function toE164(digits, countryCode) {
+  return `+${getCountry(countryCode).dialCode}${digits}`;
+}
+
+/**
+ * Split a stored phone number into country and national digits
+ * - E.164 numbers are matched on their dialling code, preferring countryCode
+ *   when several countries share it (US and Canada)
+ * - Numbers saved before E.164 (e.g. '(415) 555-0123') are read as national digits
+ * @param {string|null} phone - Stored phone number
+ * @param {string} [countryCode] - Country stored with the number
+ * @returns {{countryCode: string, digits: string}} Country and national digits
+ */
+export function parsePhone(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+  const value = (phone || '').trim();
+  if (!value.startsWith('+')) {
+    return { countryCode: getCountry(countryCode).code, digits: value.replace(/\D/g, '') };
+  }
+
+  const international = value.slice(1).replace(/\D/g, '');
+  const candidates = COUNTRIES.filter(country =>
+    international.startsWith(country.dialCode)
+    && international.length === country.dialCode.length + country.digits
+  );
+  const country = candidates.find(entry => entry.code === countryCode) || candidates[0];
+
+  if (!country) {
+    return { countryCode: getCountry(countryCode).code, digits: international };
+  }
+  return { countryCode: country.code, digits: international.slice(country.dialCode.length) };
+}
+
+/**
+ * Validate a first or last name
+ * @param {string} value - Name as typed
+ * @param {Object} options
+ * @param {string} options.label - Field name used in the messages
+ * @param {boolean} options.required - Whether the name may be left empty
+ * @returns {string|null} Error message, null when valid
+ */
+export function validateName(value, { label = 'Name', required = true } = {}) {
+  const name = (value || '').trim();
+  if (!name) return required ? `${label} is required` : null;
+  if (name.length > NAME_MAX_LENGTH) return `${label} must be ${NAME_MAX_LENGTH} characters or less`;
+  if (!NAME_PATTERN.test(name)) return `${label} can only contain letters, spaces, hyphens and apostrophes`;
+  return null;
+}
+
+/**
+ * Validate an email address
+ * @param {string} value - Email as typed
+ * @returns {string|null} Error message, null when valid
+ */
+export function validateEmail(value) {
+  const email = (value || '').trim();
+  if (!email) return 'Email is required';
+  if (!EMAIL_PATTERN.test(email)) return 'Enter a valid email address';
+  return null;
+}
+
+/**
+ * Validate a password
+ * @param {string} value - Password as typed
+ * @param {Object} options
+ * @param {boolean} options.isNew - New passwords must meet the minimum length
+ * @returns {string|null} Error message, null when valid
+ */
+export function validatePassword(value, { isNew = false } = {}) {
+  if (!value) return 'Password is required';
+  if (isNew && value.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Validate a phone number entered in national format
+ * @param {string} digits - National number, digits only
+ * @param {string} countryCode - ISO country code
+ * @param {Object} options
+ * @param {boolean} options.required - Whether the number may be left empty
+ * @returns {string|null} Error message, null when valid
+ */
+export function validatePhone(digits, countryCode, { required = false } = {}) {
+  const country = getCountry(countryCode);
+  if (!digits) return required ? 'Phone number is required' : null;
+  if (!/^\d+$/.test(digits) || digits.length !== country.digits) {
+    return `Enter a ${country.digits}-digit number for ${country.name}`;
+  }
+  if (digits.startsWith('0')) return 'Leave out the leading 0';
+  return null;
+}
+
+/**
+ * Validate the editable profile fields
+ * @param {Object} values - firstName, lastName, email, phoneDigits and phoneCountry
+ * @returns {Object} Error messages keyed by field, empty when the profile is valid
+ */
+export function validateProfile({ firstName, lastName, email, phoneDigits, phoneCountry }) {
+  const errors = {
+    firstName: validateName(firstName, { label: 'First name' }),
+    lastName: validateName(lastName, { label: 'Last name', required: false }),
+    email: validateEmail(email),
+    phone: validatePhone(phoneDigits, phoneCountry),
+  };
+  return Object.fromEntries(Object.entries(errors).filter(([, message]) => message));
+}